@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Gets a Webex access token from the integration, on a machine with no browser (device authorization grant).
+ *
+ * Usage: node bin/device-login.js [integration URL] [--tenant <id>] [--scope "<scopes>"]
+ *    - the integration URL defaults to the INTEGRATION_URL variable, or http://localhost:8080
+ *
+ * Instructions are printed on stderr, and the access token on stdout, so that it can be captured:
+ *    export WEBEX_TOKEN=$(node bin/device-login.js https://my-integration.example.com)
+ *
+ */
+
+const request = require("request");
+
+const GRANT_TYPE = "urn:ietf:params:oauth:grant-type:device_code";
+
+function parseArgs(argv) {
+   const args = { url: process.env.INTEGRATION_URL || "http://localhost:8080", form: {} };
+   for (let i = 0; i < argv.length; i++) {
+      if ((argv[i] == "--tenant") || (argv[i] == "--scope")) {
+         args.form[argv[i].slice(2)] = argv[++i];
+      }
+      else {
+         args.url = argv[i];
+      }
+   }
+   args.url = args.url.replace(/\/+$/, "");
+   return args;
+}
+
+function fail(message) {
+   console.error("ERROR: " + message);
+   process.exit(1);
+}
+
+function post(url, form, callback) {
+   request({ method: "POST", url: url, form: form, json: true }, function (err, response, body) {
+      if (err) {
+         return fail("could not reach the integration at " + url + ": " + err.message);
+      }
+      if (!body || (typeof body != "object")) {
+         return fail(`unexpected response from ${url}, status code: ${response.statusCode}`);
+      }
+      callback(response.statusCode, body);
+   });
+}
+
+
+const args = parseArgs(process.argv.slice(2));
+
+post(args.url + "/device/code", args.form, function (status, pending) {
+   if (status != 200) {
+      return fail(pending.error_description || pending.error);
+   }
+
+   console.error(`To authorize this device, open: ${pending.verification_uri}`);
+   console.error(`and enter the code: ${pending.user_code}`);
+   console.error(`(or open: ${pending.verification_uri_complete})`);
+
+   let interval = pending.interval;
+   function poll() {
+      post(args.url + "/device/token", { grant_type: GRANT_TYPE, device_code: pending.device_code }, function (status, body) {
+         if (status == 200) {
+            console.error(`Authorized, the access token expires in ${Math.round(body.expires_in / 86400)} day(s), scopes: ${body.scope}`);
+            console.log(body.access_token);
+            return;
+         }
+         switch (body.error) {
+            case "authorization_pending":
+               break;
+            case "slow_down":
+               interval += 5;
+               break;
+            default:
+               return fail(body.error_description || body.error);
+         }
+         setTimeout(poll, interval * 1000);
+      });
+   }
+   setTimeout(poll, interval * 1000);
+});
@@ -0,0 +1,125 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Webex identities authorized in a browser session.
+ *
+ * A browser can hold several identities (ex: a personal and a test account), one of them being active.
+ * The session only holds the keys of the identities (person ids, or '<tenant id>/<person id>' when serving several
+ * integrations, see ./tenants.js): grants are read from the token store.
+ *
+ *    session.accounts        : keys of the identities which authorized the integration from this browser
+ *    session.activePersonId  : key of the identity used for the widget and API calls
+ *
+ */
+
+const debug = require("debug")("oauth:accounts");
+
+
+function list(session) {
+   return (session && session.accounts) || [];
+}
+
+function activeId(session) {
+   return (session && session.activePersonId) || null;
+}
+
+// Adds an identity to the session, and makes it the active one
+function add(session, personId) {
+   const accounts = list(session).filter(function (id) {
+      return id != personId;
+   });
+   accounts.push(personId);
+   session.accounts = accounts;
+   session.activePersonId = personId;
+}
+
+// Makes an identity of the session the active one, returns false if the identity is unknown to the session
+function activate(session, personId) {
+   if (list(session).indexOf(personId) < 0) {
+      return false;
+   }
+   session.activePersonId = personId;
+   return true;
+}
+
+// Removes an identity from the session, the most recently added remaining identity becomes active
+function remove(session, personId) {
+   const accounts = list(session).filter(function (id) {
+      return id != personId;
+   });
+   session.accounts = accounts;
+   if (session.activePersonId == personId) {
+      session.activePersonId = accounts.length > 0 ? accounts[accounts.length - 1] : null;
+   }
+}
+
+
+// Express middleware: loads the grants of the session's identities from the token store
+//   - req.accounts: the grants of all identities of the session
+//   - req.account: the grant of the active identity, or null
+// Identities which grant was deleted in the meantime are dropped from the session
+function loader(store) {
+   return function (req, res, next) {
+      const ids = list(req.session);
+      req.accounts = [];
+      req.account = null;
+      if (ids.length == 0) {
+         return next();
+      }
+
+      let remaining = ids.length;
+      const records = {};
+      ids.forEach(function (personId) {
+         store.get(personId, function (err, record) {
+            if (err) {
+               debug("could not load grant, err: " + err.message);
+            }
+            else if (record) {
+               records[personId] = record;
+            }
+
+            remaining--;
+            if (remaining > 0) {
+               return;
+            }
+
+            ids.forEach(function (id) {
+               if (records[id]) {
+                  req.accounts.push(records[id]);
+               }
+               else {
+                  debug("dropping identity with no grant from session");
+                  remove(req.session, id);
+               }
+            });
+            req.account = records[activeId(req.session)] || null;
+            next();
+         });
+      });
+   };
+}
+
+// Express middleware: rejects requests with no active identity
+//   - onMissing(req, res): invoked when no identity is active
+function required(onMissing) {
+   return function (req, res, next) {
+      if (!req.account) {
+         return onMissing(req, res);
+      }
+      next();
+   };
+}
+
+
+module.exports = {
+   list: list,
+   activeId: activeId,
+   add: add,
+   activate: activate,
+   remove: remove,
+   loader: loader,
+   required: required
+};
@@ -0,0 +1,152 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Access control and exports for the /admin area.
+ *
+ * Admins are authenticated with either:
+ *    - HTTP basic auth, against the ADMIN_USERS variable: comma separated list of 'user:password'
+ *    - the Webex identity active in their browser session, which email must be listed in the ADMIN_EMAILS variable
+ * The admin area is disabled if none of these variables is set.
+ *
+ */
+
+const crypto = require("crypto");
+const debug = require("debug")("oauth:admin");
+
+
+function list(value) {
+   return (value || "").split(",").map(function (item) {
+      return item.trim();
+   }).filter(Boolean);
+}
+
+function settingsFromEnv() {
+   return {
+      users: list(process.env.ADMIN_USERS).map(function (entry) {
+         const separator = entry.indexOf(":");
+         return { name: entry.slice(0, separator), password: entry.slice(separator + 1) };
+      }).filter(function (user) {
+         return user.name && user.password;
+      }),
+      emails: list(process.env.ADMIN_EMAILS).map(function (email) {
+         return email.toLowerCase();
+      })
+   };
+}
+
+// Returns true if at least one authentication method is configured
+function enabled(settings) {
+   return (settings.users.length > 0) || (settings.emails.length > 0);
+}
+
+// Compares secrets in constant time
+function same(a, b) {
+   const hashA = crypto.createHash("sha256").update(String(a)).digest();
+   const hashB = crypto.createHash("sha256").update(String(b)).digest();
+   return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Returns the name of the basic auth user, or null
+function basicUser(settings, header) {
+   const match = /^Basic\s+(\S+)$/i.exec(header || "");
+   if (!match) {
+      return null;
+   }
+   const decoded = Buffer.from(match[1], "base64").toString("utf8");
+   const separator = decoded.indexOf(":");
+   if (separator < 0) {
+      return null;
+   }
+   const name = decoded.slice(0, separator);
+   const password = decoded.slice(separator + 1);
+   const user = settings.users.find(function (user) {
+      return same(user.name, name) && same(user.password, password);
+   });
+   return user ? user.name : null;
+}
+
+
+function sameOrigin(url, publicURL) {
+   try {
+      return new URL(url).origin == new URL(publicURL).origin;
+   }
+   catch (err) {
+      return false;
+   }
+}
+
+
+// Express middleware: only lets admins through, and sets req.admin to their name or email
+//   - expects req.account to be loaded, see ./accounts.js
+//   - state-changing requests must originate from the integration's own pages (basic auth credentials are sent cross-site)
+//   - onForbidden(req, res): invoked when the admin area is disabled, or the active identity is not an admin
+function required(settings, publicURL, onForbidden) {
+   if (!enabled(settings)) {
+      debug("no ADMIN_USERS or ADMIN_EMAILS specified, the admin area is disabled");
+   }
+
+   return function (req, res, next) {
+      if (!enabled(settings)) {
+         return onForbidden(req, res);
+      }
+
+      let admin = basicUser(settings, req.get("authorization"));
+      if (!admin && req.account && req.account.email && (settings.emails.indexOf(req.account.email.toLowerCase()) >= 0)) {
+         admin = req.account.email;
+      }
+      if (!admin) {
+         if (settings.users.length > 0) {
+            res.set("WWW-Authenticate", 'Basic realm="Integration admin", charset="UTF-8"');
+            return res.status(401).send("Authentication required");
+         }
+         return onForbidden(req, res);
+      }
+
+      if (req.method != "GET") {
+         const origin = req.get("origin") || req.get("referer");
+         if (!sameOrigin(origin, publicURL)) {
+            debug("rejecting admin request from another origin: " + origin);
+            return onForbidden(req, res);
+         }
+      }
+
+      req.admin = admin;
+      next();
+   };
+}
+
+
+// CSV export of the stored grants, secrets excluded
+const CSV_COLUMNS = ["tenant", "personId", "displayName", "email", "scopes", "created", "updated", "accessTokenExpiresAt", "refreshTokenExpiresAt", "status"];
+
+function csvCell(value) {
+   let text = Array.isArray(value) ? value.join(" ") : ((value === undefined) || (value === null) ? "" : String(value));
+   // Neutralize formulas when the file is opened in a spreadsheet
+   if (/^[=+\-@\t\r]/.test(text)) {
+      text = "'" + text;
+   }
+   return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function toCSV(records) {
+   const lines = [CSV_COLUMNS.join(",")];
+   records.forEach(function (record) {
+      lines.push(CSV_COLUMNS.map(function (column) {
+         return csvCell(record[column]);
+      }).join(","));
+   });
+   return lines.join("\r\n") + "\r\n";
+}
+
+
+module.exports = {
+   settingsFromEnv: settingsFromEnv,
+   enabled: enabled,
+   required: required,
+   same: same,
+   sameOrigin: sameOrigin,
+   toCSV: toCSV
+};
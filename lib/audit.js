@@ -0,0 +1,87 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Audit trail of the OAuth lifecycle, appended to a file as one JSON object per line.
+ *
+ * Each entry carries: time, event, requestId (null for background work), tenant and personId (null when not known yet),
+ * along with event specific details. Tokens and secrets are never written, see SECRET_KEYS in ./redact.js
+ *
+ * Events:
+ *    - flow_started, consent_declined, code_exchanged, person_fetched (widget.js, once /people/me identified the user)
+ *    - token_refreshed, refresh_failed
+ *    - bot_membership_added
+ *    - logout, grant_revoked (by an admin)
+ *
+ * The file is picked via the AUDIT_LOG variable, defaults to ./data/audit.jsonl, and 'off' disables the audit trail.
+ *
+ * Usage:
+ *    audit.record("flow_started", req, { tenant: "default", scopes: "spark:people_read" });
+ *
+ */
+
+const fs = require("fs");
+const path = require("path");
+const redact = require("./redact");
+const log = require("./log");
+const debug = require("debug")("oauth:audit");
+
+
+// Creates an audit trail appending to the file, or discarding entries if filePath is null
+function auditLog(filePath) {
+   let stream = null;
+   if (filePath) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      stream = fs.createWriteStream(filePath, { flags: "a", mode: 0o600 });
+      stream.on("error", function (err) {
+         // Entries are lost rather than crashing the integration
+         log.error("audit_write_failed", { reason: err.message });
+         stream = null;
+      });
+      debug("appending audit trail to: " + filePath);
+   }
+   else {
+      debug("audit trail is disabled");
+   }
+
+   return {
+      path: filePath,
+
+      // Appends an entry
+      //   - req: [optional] the request being processed, which id correlates the entry with other logs
+      //   - fields: { tenant, personId, ...details }
+      record: function (event, req, fields) {
+         fields = fields || {};
+         const entry = {
+            time: new Date().toISOString(),
+            event: event,
+            requestId: (req && req.id) || null,
+            tenant: fields.tenant || null,
+            personId: fields.personId || null
+         };
+         Object.keys(fields).forEach(function (key) {
+            if ((redact.SECRET_KEYS.indexOf(key) < 0) && !(key in entry)) {
+               entry[key] = fields[key];
+            }
+         });
+         if (stream) {
+            stream.write(JSON.stringify(entry) + "\n");
+         }
+      }
+   };
+}
+
+// Creates the audit trail configured via env variables
+function fromEnv() {
+   const setting = process.env.AUDIT_LOG;
+   if (setting == "off") {
+      return auditLog(null);
+   }
+   return auditLog(setting || path.join(__dirname, "../data/audit.jsonl"));
+}
+
+
+module.exports = auditLog;
+module.exports.fromEnv = fromEnv;
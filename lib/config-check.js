@@ -0,0 +1,139 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Startup checks of the integration settings, so that a misconfigured deployment fails fast
+ * rather than on the first token exchange.
+ *
+ * Errors prevent the integration from starting:
+ *    - client id or secret which do not look like Webex credentials
+ *    - redirect URI which is not an absolute URL, or not HTTPS outside localhost
+ * Warnings are logged:
+ *    - built-in sample credentials in use
+ *    - scopes which are not part of the known Webex scopes
+ *
+ */
+
+// Credentials of the sample integrations shipped with this repo
+const SAMPLE_CLIENT_IDS = [
+   "C4d2626189e40ffbde5f8d2948650bda5b4261804986bb3a977b079d2af2d7d93",
+   "C4ae9568c6cf4576abbc58c183b69f466c6ea6a7d3b8f0f22a60d6775f36d5aed"
+];
+
+const CLIENT_ID_FORMAT = /^C[0-9a-f]{64}$/;
+const CLIENT_SECRET_FORMAT = /^[0-9a-f]{64}$/;
+
+// Scopes listed on https://developer.webex.com/docs/integrations
+const KNOWN_SCOPES = [
+   "spark:all",
+   "spark:kms",
+   "spark:people_read",
+   "spark:rooms_read", "spark:rooms_write",
+   "spark:memberships_read", "spark:memberships_write",
+   "spark:messages_read", "spark:messages_write",
+   "spark:teams_read", "spark:teams_write",
+   "spark:team_memberships_read", "spark:team_memberships_write",
+   "spark:calls_read", "spark:calls_write",
+   "spark:devices_read", "spark:devices_write",
+   "spark:places_read", "spark:places_write",
+   "spark:xapi_commands", "spark:xapi_statuses",
+   "spark:organizations_read",
+   "spark-admin:people_read", "spark-admin:people_write",
+   "spark-admin:organizations_read",
+   "spark-admin:roles_read",
+   "spark-admin:licenses_read",
+   "spark-admin:places_read", "spark-admin:places_write",
+   "spark-admin:devices_read", "spark-admin:devices_write",
+   "spark-admin:resource_groups_read", "spark-admin:resource_group_memberships_read", "spark-admin:resource_group_memberships_write",
+   "spark-admin:call_qualities_read",
+   "spark-admin:hybrid_clusters_read", "spark-admin:hybrid_connectors_read",
+   "spark-compliance:events_read",
+   "spark-compliance:memberships_read", "spark-compliance:memberships_write",
+   "spark-compliance:messages_read", "spark-compliance:messages_write",
+   "spark-compliance:rooms_read",
+   "spark-compliance:teams_read",
+   "spark-compliance:team_memberships_read", "spark-compliance:team_memberships_write",
+   "meeting:schedules_read", "meeting:schedules_write",
+   "meeting:preferences_read", "meeting:preferences_write",
+   "meeting:recordings_read", "meeting:recordings_write",
+   "meeting:participants_read",
+   "meeting:transcripts_read",
+   "audit:events_read",
+   "identity:placeonetimepassword_create"
+];
+
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+
+// Checks the settings of a tenant, see ./tenants.js
+//   - returns { errors, warnings }: lists of messages
+function checkTenant(tenant) {
+   const errors = [];
+   const warnings = [];
+
+   if (SAMPLE_CLIENT_IDS.indexOf(tenant.clientId) >= 0) {
+      warnings.push("the built-in sample credentials are in use: create your own integration on https://developer.webex.com, and set CLIENT_ID and CLIENT_SECRET");
+   }
+   else {
+      if (!CLIENT_ID_FORMAT.test(tenant.clientId)) {
+         errors.push("client id does not look like a Webex client id: 'C' followed by 64 hex characters");
+      }
+      if (!CLIENT_SECRET_FORMAT.test(tenant.clientSecret)) {
+         errors.push("client secret does not look like a Webex client secret: 64 hex characters");
+      }
+   }
+
+   let redirect = null;
+   try {
+      redirect = new URL(tenant.redirectURI);
+   }
+   catch (err) {
+      errors.push("redirect URI is not an absolute URL: " + tenant.redirectURI);
+   }
+   if (redirect) {
+      const local = LOCAL_HOSTS.indexOf(redirect.hostname) >= 0;
+      if ((redirect.protocol != "https:") && !((redirect.protocol == "http:") && local)) {
+         errors.push("redirect URI must use HTTPS outside localhost: " + tenant.redirectURI);
+      }
+   }
+
+   const scopes = tenant.scopes.split(/[\s,]+/).filter(Boolean);
+   if (scopes.length == 0) {
+      errors.push("no scope specified");
+   }
+   scopes.filter(function (scope) {
+      return KNOWN_SCOPES.indexOf(scope) < 0;
+   }).forEach(function (scope) {
+      warnings.push("unknown scope: " + scope + ", Webex may reject the authorization with an invalid_scope error");
+   });
+
+   return { errors: errors, warnings: warnings };
+}
+
+// Checks the settings of all tenants, messages are prefixed with the tenant id when serving several tenants
+//   - the result of each tenant is also attached to it: tenant.check
+function check(tenants) {
+   const result = { errors: [], warnings: [] };
+   tenants.forEach(function (tenant) {
+      const prefix = (tenants.length > 1) ? `tenant ${tenant.id}: ` : "";
+      const tenantResult = checkTenant(tenant);
+      tenant.check = tenantResult;
+      result.errors = result.errors.concat(tenantResult.errors.map(function (message) {
+         return prefix + message;
+      }));
+      result.warnings = result.warnings.concat(tenantResult.warnings.map(function (message) {
+         return prefix + message;
+      }));
+   });
+   return result;
+}
+
+
+module.exports = {
+   KNOWN_SCOPES: KNOWN_SCOPES,
+   SAMPLE_CLIENT_IDS: SAMPLE_CLIENT_IDS,
+   checkTenant: checkTenant,
+   check: check
+};
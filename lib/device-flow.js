@@ -0,0 +1,194 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Device authorization grant, modeled after RFC 8628, for headless tools which cannot open a browser.
+ *
+ * 1. the tool starts a pending authorization, and gets back a device code (kept secret) and a short user code
+ * 2. the user opens the verification URL on any device, enters the user code, and goes through the regular OAuth flow
+ * 3. once the flow completes, the tokens are bound to the pending authorization
+ * 4. meanwhile, the tool polls with its device code until the tokens are bound, the user declines, or the code expires
+ *
+ * Pending authorizations are kept in memory, and are lost on restart.
+ *
+ */
+
+const crypto = require("crypto");
+const debug = require("debug")("oauth:device");
+
+// Outcomes of a poll, named after the RFC 8628 error codes
+const PENDING = "authorization_pending";
+const SLOW_DOWN = "slow_down";
+const DENIED = "access_denied";
+const EXPIRED = "expired_token";
+const UNKNOWN = "invalid_grant";
+const APPROVED = "approved";
+
+const DEFAULTS = {
+   ttl: 10 * 60 * 1000, // time to live of a pending authorization
+   interval: 5 * 1000, // minimum time between two polls
+   maxPending: 1000 // pending authorizations held at once
+};
+
+// No vowels (no words get spelled), no lookalike characters, see RFC 8628 section 6.1
+const USER_CODE_ALPHABET = "BCDFGHJKLMNPQRSTVWXZ";
+const USER_CODE_LENGTH = 8;
+
+
+function generateUserCode() {
+   const bytes = crypto.randomBytes(USER_CODE_LENGTH);
+   let code = "";
+   for (let i = 0; i < USER_CODE_LENGTH; i++) {
+      code += USER_CODE_ALPHABET[bytes[i] % USER_CODE_ALPHABET.length];
+   }
+   return code.slice(0, 4) + "-" + code.slice(4);
+}
+
+// Users may type codes in lowercase, with or without the dash
+function normalizeUserCode(userCode) {
+   const code = String(userCode || "").toUpperCase().replace(/[^A-Z]/g, "");
+   if (code.length != USER_CODE_LENGTH) {
+      return null;
+   }
+   return code.slice(0, 4) + "-" + code.slice(4);
+}
+
+
+module.exports = function deviceFlow(options) {
+   const settings = Object.assign({}, DEFAULTS, options);
+   const byDeviceCode = new Map();
+   const byUserCode = new Map();
+
+   function prune(now) {
+      byDeviceCode.forEach(function (pending, deviceCode) {
+         if (pending.expires <= now) {
+            byDeviceCode.delete(deviceCode);
+            byUserCode.delete(pending.userCode);
+         }
+      });
+   }
+
+   // Starts a pending authorization
+   //   - request: { tenant, scopes } the tenant id, and the scopes to ask for
+   //   - returns { deviceCode, userCode, expiresIn, interval } with durations in seconds, or null if too many authorizations are pending
+   function start(request) {
+      const now = Date.now();
+      prune(now);
+      if (byDeviceCode.size >= settings.maxPending) {
+         debug("too many pending authorizations");
+         return null;
+      }
+
+      let userCode = generateUserCode();
+      while (byUserCode.has(userCode)) {
+         userCode = generateUserCode();
+      }
+      const deviceCode = crypto.randomBytes(32).toString("hex");
+      const pending = {
+         deviceCode: deviceCode,
+         userCode: userCode,
+         tenant: request.tenant,
+         scopes: request.scopes,
+         status: PENDING,
+         grant: null,
+         created: now,
+         expires: now + settings.ttl,
+         interval: settings.interval,
+         lastPoll: 0
+      };
+      byDeviceCode.set(deviceCode, pending);
+      byUserCode.set(userCode, pending);
+
+      debug(`started pending authorization: ${userCode}, ${byDeviceCode.size} pending`);
+      return {
+         deviceCode: deviceCode,
+         userCode: userCode,
+         expiresIn: Math.round(settings.ttl / 1000),
+         interval: Math.round(settings.interval / 1000)
+      };
+   }
+
+   // Returns the pending authorization for a user code, or null if unknown, expired or already completed
+   function find(userCode) {
+      const pending = byUserCode.get(normalizeUserCode(userCode));
+      if (!pending || (pending.expires <= Date.now()) || (pending.status != PENDING)) {
+         return null;
+      }
+      return pending;
+   }
+
+   // Binds the tokens to a pending authorization, once the user completed the OAuth flow
+   //   - grant: what the tool gets back, such as { accessToken, accessTokenExpiresAt, scopes }
+   function approve(userCode, grant) {
+      const pending = find(userCode);
+      if (!pending) {
+         return false;
+      }
+      pending.status = APPROVED;
+      pending.grant = grant;
+      debug(`authorization approved: ${pending.userCode}`);
+      return true;
+   }
+
+   // The user declined the authorization
+   function deny(userCode) {
+      const pending = find(userCode);
+      if (!pending) {
+         return false;
+      }
+      pending.status = DENIED;
+      debug(`authorization declined: ${pending.userCode}`);
+      return true;
+   }
+
+   // Polled by the tool
+   //   - returns { status } with status among: authorization_pending, slow_down, access_denied, expired_token,
+   //     invalid_grant (unknown code), and 'approved' along with the grant
+   //   - the grant is only handed out once
+   function poll(deviceCode) {
+      const now = Date.now();
+      const pending = byDeviceCode.get(deviceCode);
+      if (!pending) {
+         return { status: UNKNOWN };
+      }
+      if (pending.expires <= now) {
+         byDeviceCode.delete(deviceCode);
+         byUserCode.delete(pending.userCode);
+         return { status: EXPIRED };
+      }
+
+      if (pending.status != PENDING) {
+         byDeviceCode.delete(deviceCode);
+         byUserCode.delete(pending.userCode);
+         return { status: pending.status, grant: pending.grant };
+      }
+
+      // Tools polling too fast are asked to slow down, and their interval is increased by 5 seconds
+      const tooFast = (now - pending.lastPoll) < pending.interval;
+      pending.lastPoll = now;
+      if (tooFast) {
+         pending.interval += 5000;
+         return { status: SLOW_DOWN, interval: Math.round(pending.interval / 1000) };
+      }
+      return { status: PENDING };
+   }
+
+   return {
+      start: start,
+      find: find,
+      approve: approve,
+      deny: deny,
+      poll: poll
+   };
+};
+
+module.exports.PENDING = PENDING;
+module.exports.SLOW_DOWN = SLOW_DOWN;
+module.exports.DENIED = DENIED;
+module.exports.EXPIRED = EXPIRED;
+module.exports.UNKNOWN = UNKNOWN;
+module.exports.APPROVED = APPROVED;
+module.exports.DEFAULTS = DEFAULTS;
+module.exports.normalizeUserCode = normalizeUserCode;
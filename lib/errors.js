@@ -0,0 +1,265 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Error pages for the OAuth flow.
+ *
+ * Each failure path is identified by a code from the catalog below, with localized titles and messages.
+ * The language is negotiated from the Accept-Language header, and falls back to English.
+ * Pages are rendered from the www/error.ejs template, which escapes all values.
+ *
+ * Usage:
+ *    errors.render(req, res, "access_denied");
+ *    errors.render(req, res, "token_bad_request", responsePayload.message);
+ *
+ */
+
+const fs = require("fs");
+const path = require("path");
+const ejs = require("ejs");
+
+const LANGUAGES = ["en", "fr", "de"];
+
+const LABELS = {
+   heading: {
+      en: "OAuth Integration could not complete",
+      fr: "L'intégration OAuth n'a pas pu aboutir",
+      de: "Die OAuth-Integration konnte nicht abgeschlossen werden"
+   },
+   details: {
+      en: "Details",
+      fr: "Détails",
+      de: "Details"
+   },
+   retry: {
+      en: "Try again",
+      fr: "Réessayer",
+      de: "Erneut versuchen"
+   }
+};
+
+const catalog = {
+   // Errors reported by Webex on the redirect URI
+   access_denied: {
+      status: 403,
+      en: "You declined to grant access to the integration.",
+      fr: "Vous avez refusé l'accès à l'intégration.",
+      de: "Sie haben der Integration den Zugriff verweigert."
+   },
+   invalid_scope: {
+      status: 400,
+      en: "The integration requested a scope it is not entitled to.",
+      fr: "L'intégration a demandé une permission (scope) à laquelle elle n'a pas droit.",
+      de: "Die Integration hat einen Scope angefordert, für den sie nicht berechtigt ist."
+   },
+   server_error: {
+      status: 502,
+      en: "Webex encountered a server error.",
+      fr: "Webex a rencontré une erreur serveur.",
+      de: "Webex hat einen Serverfehler gemeldet."
+   },
+   unsupported_error: {
+      status: 400,
+      en: "Webex reported an unexpected error.",
+      fr: "Webex a signalé une erreur inattendue.",
+      de: "Webex hat einen unerwarteten Fehler gemeldet."
+   },
+
+   // Checks performed by the integration on the redirect URI
+   missing_params: {
+      status: 400,
+      en: "The authorization response is missing the expected code and state parameters.",
+      fr: "La réponse d'autorisation ne contient pas les paramètres code et state attendus.",
+      de: "In der Autorisierungsantwort fehlen die erwarteten Parameter code und state."
+   },
+   state_unknown: {
+      status: 400,
+      en: "This authorization response was not initiated from this browser.",
+      fr: "Cette réponse d'autorisation n'a pas été initiée depuis ce navigateur.",
+      de: "Diese Autorisierungsantwort wurde nicht von diesem Browser aus angefordert."
+   },
+   state_expired: {
+      status: 400,
+      en: "Your authorization request has expired.",
+      fr: "Votre demande d'autorisation a expiré.",
+      de: "Ihre Autorisierungsanfrage ist abgelaufen."
+   },
+   state_replayed: {
+      status: 400,
+      en: "This authorization response was already processed.",
+      fr: "Cette réponse d'autorisation a déjà été traitée.",
+      de: "Diese Autorisierungsantwort wurde bereits verarbeitet."
+   },
+
+   // Token endpoint
+   token_bad_request: {
+      status: 400,
+      en: "Webex rejected the request for an access token.",
+      fr: "Webex a rejeté la demande de jeton d'accès.",
+      de: "Webex hat die Anfrage nach einem Zugriffstoken abgelehnt."
+   },
+   token_unauthorized: {
+      status: 502,
+      en: "The integration could not authenticate with Webex. Ask the service contact to check the integration's secret.",
+      fr: "L'intégration n'a pas pu s'authentifier auprès de Webex. Demandez au contact du service de vérifier le secret de l'intégration.",
+      de: "Die Integration konnte sich nicht bei Webex authentifizieren. Bitten Sie den Ansprechpartner, das Secret der Integration zu prüfen."
+   },
+   token_server_error: {
+      status: 502,
+      en: "Webex could not issue your access token.",
+      fr: "Webex n'a pas pu émettre votre jeton d'accès.",
+      de: "Webex konnte Ihr Zugriffstoken nicht ausstellen."
+   },
+   token_unreachable: {
+      status: 504,
+      en: "The integration could not reach Webex to retrieve your access token.",
+      fr: "L'intégration n'a pas pu joindre Webex pour récupérer votre jeton d'accès.",
+      de: "Die Integration konnte Webex nicht erreichen, um Ihr Zugriffstoken abzurufen."
+   },
+   token_invalid: {
+      status: 502,
+      en: "Webex returned an unexpected response when issuing your access token.",
+      fr: "Webex a renvoyé une réponse inattendue lors de l'émission de votre jeton d'accès.",
+      de: "Webex hat beim Ausstellen Ihres Zugriffstokens eine unerwartete Antwort geliefert."
+   },
+
+   // Custom logic, once the flow has completed
+   not_signed_in: {
+      status: 401,
+      en: "Please sign in with your Webex account first.",
+      fr: "Veuillez d'abord vous connecter avec votre compte Webex.",
+      de: "Bitte melden Sie sich zuerst mit Ihrem Webex-Konto an."
+   },
+   person_failed: {
+      status: 502,
+      en: "The integration could not retrieve your Webex account details.",
+      fr: "L'intégration n'a pas pu récupérer les détails de votre compte Webex.",
+      de: "Die Integration konnte Ihre Webex-Kontodaten nicht abrufen."
+   },
+   store_failed: {
+      status: 500,
+      en: "The integration could not save your authorization.",
+      fr: "L'intégration n'a pas pu enregistrer votre autorisation.",
+      de: "Die Integration konnte Ihre Autorisierung nicht speichern."
+   },
+   spaces_failed: {
+      status: 502,
+      en: "The integration could not list your spaces.",
+      fr: "L'intégration n'a pas pu lister vos espaces.",
+      de: "Die Integration konnte Ihre Bereiche nicht auflisten."
+   },
+   membership_failed: {
+      status: 502,
+      en: "The integration could not add you to the demo space.",
+      fr: "L'intégration n'a pas pu vous ajouter à l'espace de démonstration.",
+      de: "Die Integration konnte Sie nicht zum Demo-Bereich hinzufügen."
+   },
+   widget_not_member: {
+      status: 403,
+      en: "You are not a member of this space, pick one of your spaces instead.",
+      fr: "Vous n'êtes pas membre de cet espace, choisissez plutôt l'un de vos espaces.",
+      de: "Sie sind kein Mitglied dieses Bereichs, wählen Sie stattdessen einen Ihrer Bereiche."
+   },
+   widget_invalid_email: {
+      status: 400,
+      en: "This is not a valid email address.",
+      fr: "Cette adresse e-mail n'est pas valide.",
+      de: "Dies ist keine gültige E-Mail-Adresse."
+   },
+   widget_membership_check_failed: {
+      status: 502,
+      en: "The integration could not check your membership of this space.",
+      fr: "L'intégration n'a pas pu vérifier votre appartenance à cet espace.",
+      de: "Die Integration konnte Ihre Mitgliedschaft in diesem Bereich nicht überprüfen."
+   },
+   join_request_unknown: {
+      status: 404,
+      en: "This join request does not exist, or has already been processed.",
+      fr: "Cette demande d'adhésion n'existe pas, ou a déjà été traitée.",
+      de: "Diese Beitrittsanfrage existiert nicht oder wurde bereits bearbeitet."
+   },
+   join_not_moderator: {
+      status: 403,
+      en: "Only moderators of the space can approve or deny join requests.",
+      fr: "Seuls les modérateurs de l'espace peuvent approuver ou refuser les demandes d'adhésion.",
+      de: "Nur Moderatoren des Bereichs können Beitrittsanfragen genehmigen oder ablehnen."
+   },
+   setup_forbidden: {
+      status: 403,
+      en: "The setup page can only be opened from the machine running the integration.",
+      fr: "La page de configuration ne peut être ouverte que depuis la machine qui exécute l'intégration.",
+      de: "Die Einrichtungsseite kann nur auf dem Rechner geöffnet werden, auf dem die Integration läuft."
+   },
+   admin_forbidden: {
+      status: 403,
+      en: "You are not allowed to access the admin area.",
+      fr: "Vous n'êtes pas autorisé à accéder à l'espace d'administration.",
+      de: "Sie sind nicht berechtigt, auf den Administrationsbereich zuzugreifen."
+   },
+   transcript_invalid_range: {
+      status: 400,
+      en: "The date range of the transcript is not valid.",
+      fr: "La période de la transcription n'est pas valide.",
+      de: "Der Zeitraum des Protokolls ist ungültig."
+   },
+   transcript_failed: {
+      status: 502,
+      en: "The integration could not export the transcript of this space.",
+      fr: "L'intégration n'a pas pu exporter la transcription de cet espace.",
+      de: "Die Integration konnte das Protokoll dieses Bereichs nicht exportieren."
+   },
+   logout_forbidden: {
+      status: 403,
+      en: "Sign out requests must be sent from the integration's pages.",
+      fr: "Les demandes de déconnexion doivent être envoyées depuis les pages de l'intégration.",
+      de: "Abmeldeanfragen müssen von den Seiten der Integration gesendet werden."
+   },
+   device_code_invalid: {
+      status: 400,
+      en: "This device code is invalid, has expired or was already used. Please start again from your device.",
+      fr: "Ce code d'appareil est invalide, a expiré ou a déjà été utilisé. Veuillez recommencer depuis votre appareil.",
+      de: "Dieser Gerätecode ist ungültig, abgelaufen oder wurde bereits verwendet. Bitte beginnen Sie erneut auf Ihrem Gerät."
+   }
+};
+
+const template = ejs.compile(fs.readFileSync(path.join(__dirname, "../www/error.ejs"), "utf8"));
+
+
+// Picks the language from the Accept-Language header
+function language(req) {
+   return req.acceptsLanguages(LANGUAGES) || LANGUAGES[0];
+}
+
+function localize(entry, lang) {
+   return entry[lang] || entry[LANGUAGES[0]];
+}
+
+
+// Sends the error page for a code from the catalog
+//   - detail: [optional] extra information, such as the message returned by Webex
+//   - retryURL: [optional] where the 'try again' link points to, defaults to /login which starts a new flow
+function render(req, res, code, detail, retryURL) {
+   const entry = catalog[code] || catalog.unsupported_error;
+   const lang = language(req);
+   res.locals.errorCode = code; // reported in metrics, see /metrics
+
+   res.status(entry.status).send(template({
+      lang: lang,
+      code: code,
+      heading: localize(LABELS.heading, lang),
+      message: localize(entry, lang),
+      detailsLabel: localize(LABELS.details, lang),
+      detail: detail || null,
+      retryLabel: localize(LABELS.retry, lang),
+      retryURL: retryURL || "/login"
+   }));
+}
+
+
+module.exports = {
+   LANGUAGES: LANGUAGES,
+   catalog: catalog,
+   render: render
+};
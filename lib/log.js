@@ -0,0 +1,36 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Structured log entries, written as one JSON object per line on stderr.
+ * Secrets are masked, see ./redact.js
+ *
+ * Usage:
+ *    log.error("token_response_invalid", { statusCode: 200, reason: "missing property: access_token" });
+ *
+ */
+
+const redact = require("./redact");
+
+function write(level, event, fields) {
+   const entry = Object.assign({
+      time: new Date().toISOString(),
+      level: level,
+      event: event
+   }, redact.scrub(fields || {}));
+   console.error(JSON.stringify(entry));
+}
+
+module.exports = {
+   info: function (event, fields) {
+      write("info", event, fields);
+   },
+   warn: function (event, fields) {
+      write("warn", event, fields);
+   },
+   error: function (event, fields) {
+      write("error", event, fields);
+   }
+};
@@ -0,0 +1,255 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * JSON API to send content as the signed-in user, mounted under /api:
+ *    POST   /api/messages             : { roomId | toPersonEmail, text, markdown, fileURL, card }
+ *    GET    /api/messages?roomId=     : newest first, paginated with 'max' and 'beforeMessage'
+ *    DELETE /api/messages/:id
+ *
+ * Calls are authenticated by the browser session (the active identity, see ./accounts.js), and go to Webex with the
+ * identity's stored access token. Each identity gets its own rate limit budget, and calls are only relayed if the
+ * identity granted the scope they require.
+ *
+ * Errors are reported as JSON: { error, message, trackingId }, with Webex failures mapped to the closest status code.
+ *
+ */
+
+const express = require("express");
+const scopeList = require("./scopes");
+const rateLimiter = require("./rate-limit");
+const debug = require("debug")("oauth:api");
+
+const READ_SCOPES = ["spark:messages_read"];
+const WRITE_SCOPES = ["spark:messages_write"];
+
+const CARD_CONTENT_TYPE = "application/vnd.microsoft.card.adaptive";
+const MAX_TEXT_LENGTH = 7439; // Webex limit for text and markdown
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const EMAIL_FORMAT = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+
+function sendError(res, status, error, message, trackingId) {
+   res.status(status).json({ error: error, message: message, trackingId: trackingId || null });
+}
+
+// Maps a WebexError to the API's errors
+function sendWebexError(res, err) {
+   if (!err.status) {
+      return sendError(res, 504, "webex_unreachable", "could not reach Webex");
+   }
+   switch (err.status) {
+      case 400:
+         return sendError(res, 400, "bad_request", err.message, err.trackingId);
+      case 401:
+         // The access token was rejected, and could not be refreshed: the user has to sign in again
+         return sendError(res, 401, "reauthorize", "Webex rejected your authorization, please sign in again", err.trackingId);
+      case 403:
+         return sendError(res, 403, "forbidden", err.message, err.trackingId);
+      case 404:
+         return sendError(res, 404, "not_found", err.message, err.trackingId);
+      case 409:
+         return sendError(res, 409, "conflict", err.message, err.trackingId);
+      case 429:
+         if (err.retryAfter) {
+            res.set("Retry-After", String(err.retryAfter));
+         }
+         return sendError(res, 429, "rate_limited", "Webex is rate limiting your calls, please retry later", err.trackingId);
+      default:
+         return sendError(res, 502, "webex_error", err.message, err.trackingId);
+   }
+}
+
+
+// Checks the body of POST /api/messages, and returns the Webex message to create, or { error }
+function toWebexMessage(body) {
+   if (!body || (typeof body != "object") || Array.isArray(body)) {
+      return { error: "expecting a JSON object" };
+   }
+
+   const message = {};
+   const destinations = ["roomId", "toPersonEmail"].filter(function (key) {
+      return body[key] !== undefined;
+   });
+   if (destinations.length != 1) {
+      return { error: "expecting either a roomId or a toPersonEmail" };
+   }
+   if (body.roomId !== undefined) {
+      if ((typeof body.roomId != "string") || !body.roomId) {
+         return { error: "roomId must be a non empty string" };
+      }
+      message.roomId = body.roomId;
+   }
+   else {
+      if ((typeof body.toPersonEmail != "string") || !EMAIL_FORMAT.test(body.toPersonEmail)) {
+         return { error: "toPersonEmail must be an email address" };
+      }
+      message.toPersonEmail = body.toPersonEmail;
+   }
+
+   for (const key of ["text", "markdown"]) {
+      if (body[key] === undefined) {
+         continue;
+      }
+      if ((typeof body[key] != "string") || (body[key].length > MAX_TEXT_LENGTH)) {
+         return { error: `${key} must be a string of at most ${MAX_TEXT_LENGTH} characters` };
+      }
+      message[key] = body[key];
+   }
+
+   if (body.fileURL !== undefined) {
+      let url = null;
+      try {
+         url = new URL(body.fileURL);
+      }
+      catch (err) {
+         // reported below
+      }
+      if (!url || ((url.protocol != "https:") && (url.protocol != "http:"))) {
+         return { error: "fileURL must be an http(s) URL" };
+      }
+      message.files = [url.toString()];
+   }
+
+   if (body.card !== undefined) {
+      if (!body.card || (typeof body.card != "object") || (body.card.type != "AdaptiveCard")) {
+         return { error: "card must be an adaptive card: a JSON object with type 'AdaptiveCard'" };
+      }
+      // Clients which cannot render cards show the text or markdown instead
+      if (!message.text && !message.markdown) {
+         return { error: "a card must come with a text or markdown fallback" };
+      }
+      message.attachments = [{ contentType: CARD_CONTENT_TYPE, content: body.card }];
+   }
+
+   if (!message.text && !message.markdown && !message.files) {
+      return { error: "expecting a text, markdown, fileURL or card" };
+   }
+   return { value: message };
+}
+
+
+// Creates the /api router
+//   - options.clientFor(record): Webex API client acting on behalf of a stored grant
+//   - options.keyOf(record): identifies the grant, rate limit budgets are kept per grant
+//   - options.consentURL(req, scopes): URL where the user grants the missing scopes, it must not start a flow by itself (403s can be retried at will)
+//   - options.rateLimit: [optional] { limit, window } see ./rate-limit.js
+module.exports = function messagesAPI(options) {
+   const router = express.Router();
+   const limiter = rateLimiter(options.rateLimit);
+
+   // Expects req.account to be loaded, see ./accounts.js
+   router.use(function (req, res, next) {
+      if (!req.account) {
+         return sendError(res, 401, "not_signed_in", "please sign in with your Webex account first");
+      }
+
+      const budget = limiter.take(options.keyOf(req.account));
+      res.set("X-RateLimit-Limit", String(budget.limit));
+      res.set("X-RateLimit-Remaining", String(budget.remaining));
+      if (!budget.allowed) {
+         debug(`rate limit exceeded for ${req.account.displayName}`);
+         res.set("Retry-After", String(budget.retryAfter));
+         return sendError(res, 429, "rate_limited", `too many calls, please retry in ${budget.retryAfter} seconds`);
+      }
+      next();
+   });
+
+   function requireScopes(required) {
+      return function (req, res, next) {
+         const missing = scopeList.missing(req.account.scopes, required);
+         if (missing.length == 0) {
+            return next();
+         }
+         res.status(403).json({
+            error: "insufficient_scope",
+            message: "your authorization misses the scope(s): " + missing.join(" "),
+            trackingId: null,
+            missingScopes: missing,
+            consentURL: options.consentURL(req, required)
+         });
+      };
+   }
+
+   // Requests with a body must be JSON, which a cross-site form cannot send
+   function jsonBody(req, res, next) {
+      if (!req.is("application/json")) {
+         return sendError(res, 415, "unsupported_media_type", "expecting an application/json body");
+      }
+      next();
+   }
+
+   router.post("/messages", requireScopes(WRITE_SCOPES), jsonBody, express.json({ limit: "64kb" }), function (req, res) {
+      const parsed = toWebexMessage(req.body);
+      if (parsed.error) {
+         return sendError(res, 400, "invalid_request", parsed.error);
+      }
+      options.clientFor(req.account).post("/messages", parsed.value, function (err, message) {
+         if (err) {
+            debug(`could not post message, status: ${err.status}, trackingId: ${err.trackingId}`);
+            return sendWebexError(res, err);
+         }
+         res.status(201).json(message);
+      });
+   });
+
+   router.get("/messages", requireScopes(READ_SCOPES), function (req, res) {
+      if (!req.query.roomId || (typeof req.query.roomId != "string")) {
+         return sendError(res, 400, "invalid_request", "expecting a roomId");
+      }
+      const max = Math.min(Math.max(parseInt(req.query.max) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      const qs = { roomId: req.query.roomId, max: max };
+      if (req.query.beforeMessage) {
+         qs.beforeMessage = String(req.query.beforeMessage);
+      }
+
+      options.clientFor(req.account).get("/messages", qs, function (err, body) {
+         if (err) {
+            debug(`could not list messages, status: ${err.status}, trackingId: ${err.trackingId}`);
+            return sendWebexError(res, err);
+         }
+         const items = (body && Array.isArray(body.items)) ? body.items : [];
+
+         // Messages come newest first: the next page holds the messages before the last one received
+         let next = null;
+         if (items.length == max) {
+            next = req.baseUrl + "/messages?" + new URLSearchParams({ roomId: qs.roomId, max: String(max), beforeMessage: items[items.length - 1].id }).toString();
+         }
+         res.json({ items: items, next: next });
+      });
+   });
+
+   router.delete("/messages/:id", requireScopes(WRITE_SCOPES), function (req, res) {
+      options.clientFor(req.account).delete("/messages/" + encodeURIComponent(req.params.id), function (err) {
+         if (err) {
+            debug(`could not delete message, status: ${err.status}, trackingId: ${err.trackingId}`);
+            return sendWebexError(res, err);
+         }
+         res.status(204).end();
+      });
+   });
+
+   router.use(function (req, res) {
+      sendError(res, 404, "not_found", "no such API route: " + req.method + " " + req.baseUrl + req.path);
+   });
+
+   // Body parsing failures
+   router.use(function (err, req, res, next) {
+      if (err.type == "entity.parse.failed") {
+         return sendError(res, 400, "invalid_json", "the body is not valid JSON");
+      }
+      if (err.type == "entity.too.large") {
+         return sendError(res, 413, "too_large", "the body is too large");
+      }
+      next(err);
+   });
+
+   return router;
+};
+
+module.exports.READ_SCOPES = READ_SCOPES;
+module.exports.WRITE_SCOPES = WRITE_SCOPES;
+module.exports.toWebexMessage = toWebexMessage;
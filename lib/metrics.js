@@ -0,0 +1,124 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Counters and histograms, exposed in the Prometheus text format.
+ *
+ * Usage:
+ *    const metrics = require("./lib/metrics")();
+ *    const callbacks = metrics.counter("oauth_callback_total", "Outcomes of the OAuth callback", ["tenant", "outcome"]);
+ *    callbacks.inc({ tenant: "default", outcome: "success" });
+ *    res.type(metrics.CONTENT_TYPE).send(metrics.expose());
+ *
+ */
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// In seconds, suited to Webex API calls
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+
+function escapeLabel(value) {
+   return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, labels, extra) {
+   const pairs = labelNames.map(function (name) {
+      return `${name}="${escapeLabel((labels[name] === undefined) || (labels[name] === null) ? "" : labels[name])}"`;
+   });
+   if (extra) {
+      pairs.push(extra);
+   }
+   return (pairs.length > 0) ? "{" + pairs.join(",") + "}" : "";
+}
+
+// Series are keyed by their label values
+function keyOf(labelNames, labels) {
+   return JSON.stringify(labelNames.map(function (name) {
+      return (labels[name] === undefined) ? null : labels[name];
+   }));
+}
+
+
+module.exports = function registry() {
+   const metrics = [];
+
+   function counter(name, help, labelNames) {
+      labelNames = labelNames || [];
+      const series = new Map();
+
+      const metric = {
+         inc: function (labels, value) {
+            labels = labels || {};
+            const key = keyOf(labelNames, labels);
+            const current = series.get(key) || { labels: labels, value: 0 };
+            current.value += (value === undefined) ? 1 : value;
+            series.set(key, current);
+         },
+         expose: function () {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            series.forEach(function (entry) {
+               lines.push(`${name}${formatLabels(labelNames, entry.labels)} ${entry.value}`);
+            });
+            return lines.join("\n");
+         }
+      };
+      metrics.push(metric);
+      return metric;
+   }
+
+   function histogram(name, help, labelNames, buckets) {
+      labelNames = labelNames || [];
+      buckets = buckets || DEFAULT_BUCKETS;
+      const series = new Map();
+
+      const metric = {
+         observe: function (labels, value) {
+            labels = labels || {};
+            const key = keyOf(labelNames, labels);
+            let current = series.get(key);
+            if (!current) {
+               current = { labels: labels, counts: buckets.map(function () { return 0; }), sum: 0, count: 0 };
+               series.set(key, current);
+            }
+            buckets.forEach(function (bound, i) {
+               if (value <= bound) {
+                  current.counts[i]++;
+               }
+            });
+            current.sum += value;
+            current.count++;
+         },
+         expose: function () {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            series.forEach(function (entry) {
+               buckets.forEach(function (bound, i) {
+                  lines.push(`${name}_bucket${formatLabels(labelNames, entry.labels, `le="${bound}"`)} ${entry.counts[i]}`);
+               });
+               lines.push(`${name}_bucket${formatLabels(labelNames, entry.labels, 'le="+Inf"')} ${entry.count}`);
+               lines.push(`${name}_sum${formatLabels(labelNames, entry.labels)} ${entry.sum}`);
+               lines.push(`${name}_count${formatLabels(labelNames, entry.labels)} ${entry.count}`);
+            });
+            return lines.join("\n");
+         }
+      };
+      metrics.push(metric);
+      return metric;
+   }
+
+   return {
+      CONTENT_TYPE: CONTENT_TYPE,
+      counter: counter,
+      histogram: histogram,
+      expose: function () {
+         return metrics.map(function (metric) {
+            return metric.expose();
+         }).join("\n") + "\n";
+      }
+   };
+};
+
+module.exports.CONTENT_TYPE = CONTENT_TYPE;
+module.exports.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
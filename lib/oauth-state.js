@@ -0,0 +1,110 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Per-flow OAuth state, correlated to the browser session that initiated the flow.
+ *
+ * A fresh, unguessable state is issued each time a flow is initiated, and recorded in the user's session.
+ * When Webex redirects back to the integration, the state is checked against the session:
+ *    - it must have been issued to this very browser (otherwise 'unknown'),
+ *    - it must not have expired (otherwise 'expired'),
+ *    - it can only be used once (otherwise 'replayed').
+ *
+ */
+
+const crypto = require("crypto");
+const debug = require("debug")("oauth:state");
+
+// Outcomes of a state check
+const VALID = "valid";
+const UNKNOWN = "unknown";
+const EXPIRED = "expired";
+const REPLAYED = "replayed";
+
+// Default time to live for a flow: 10 minutes
+const DEFAULT_TTL = 10 * 60 * 1000;
+
+// Maximum number of flows remembered per session, the oldest ones get evicted first
+const MAX_FLOWS = 10;
+
+
+// Issues a new state for the session, and returns it
+//   - ttl: time to live in milliseconds
+//   - extra: optional properties to store along with the flow (ex: a PKCE code verifier)
+function issue(session, ttl, extra) {
+   const state = crypto.randomBytes(24).toString("hex");
+   const now = Date.now();
+
+   const flows = prune(session, now);
+   flows[state] = Object.assign({}, extra, {
+      created: now,
+      expires: now + (ttl || DEFAULT_TTL),
+      consumed: false
+   });
+   session.oauthFlows = flows;
+
+   debug(`issued new state, ${Object.keys(flows).length} flow(s) pending for session`);
+   return state;
+}
+
+
+// Checks the state received on the OAuth callback, and consumes it
+// Returns an object with a 'status' property ('valid', 'unknown', 'expired' or 'replayed'),
+// and, if valid, the 'flow' that was stored when the state was issued
+function consume(session, state) {
+   const flows = (session && session.oauthFlows) || {};
+   const flow = Object.prototype.hasOwnProperty.call(flows, state) ? flows[state] : null;
+
+   if (!flow) {
+      return { status: UNKNOWN };
+   }
+
+   if (flow.consumed) {
+      return { status: REPLAYED };
+   }
+
+   // Single use: mark as consumed, even if expired
+   flow.consumed = true;
+
+   if (Date.now() > flow.expires) {
+      return { status: EXPIRED };
+   }
+
+   return { status: VALID, flow: flow };
+}
+
+
+// Removes expired flows (consumed flows are kept until they expire to detect replays),
+// and caps the number of flows held by the session
+function prune(session, now) {
+   const flows = session.oauthFlows || {};
+
+   let states = Object.keys(flows).filter(function (state) {
+      return flows[state].expires > now;
+   });
+   states.sort(function (a, b) {
+      return flows[a].created - flows[b].created;
+   });
+   if (states.length >= MAX_FLOWS) {
+      states = states.slice(states.length - MAX_FLOWS + 1);
+   }
+
+   const kept = {};
+   states.forEach(function (state) {
+      kept[state] = flows[state];
+   });
+   return kept;
+}
+
+
+module.exports = {
+   VALID: VALID,
+   UNKNOWN: UNKNOWN,
+   EXPIRED: EXPIRED,
+   REPLAYED: REPLAYED,
+   DEFAULT_TTL: DEFAULT_TTL,
+   issue: issue,
+   consume: consume
+};
@@ -0,0 +1,221 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Self-service onboarding to a space moderated by a bot.
+ *
+ * When a user authorizes the integration, a join policy decides whether the bot adds the user right away:
+ *    - users which email domain, or Webex organization, is allowlisted join right away
+ *    - other users are queued for approval, and the bot posts a message in the space with approve and deny links
+ *    - if no allowlist is configured, everyone joins right away
+ *
+ * Approvals are only accepted from moderators of the space.
+ * The approval queue is kept in memory: pending requests are lost when the integration restarts.
+ *
+ * Policy settings, from environment variables:
+ *    JOIN_ALLOWED_DOMAINS : comma separated list of email domains, ex: "example.com,example.org"
+ *    JOIN_ALLOWED_ORGS    : comma separated list of Webex organization ids
+ *    JOIN_AS_MODERATOR    : 'true' to add users as moderators of the space
+ *
+ */
+
+const crypto = require("crypto");
+const debug = require("debug")("oauth:onboarding");
+
+// Results of a join request
+const JOINED = "joined";
+const ALREADY_MEMBER = "already_member";
+const PENDING_APPROVAL = "pending_approval";
+const DENIED = "denied";
+
+// Status of the requests in the approval queue
+const PENDING = "pending";
+const APPROVED = "approved";
+
+
+function list(value) {
+   return (value || "").split(",").map(function (item) {
+      return item.trim();
+   }).filter(Boolean);
+}
+
+// Email domains are compared case-insensitively, organization ids are compared as is
+function policyFromEnv() {
+   return {
+      domains: list(process.env.JOIN_ALLOWED_DOMAINS).map(function (domain) {
+         return domain.toLowerCase();
+      }),
+      orgIds: list(process.env.JOIN_ALLOWED_ORGS),
+      asModerator: process.env.JOIN_AS_MODERATOR == "true"
+   };
+}
+
+// Display names are chosen by users: neutralize markdown so that they cannot inject links in the bot's messages
+function escapeMarkdown(text) {
+   return String(text).replace(/[\\`*_{}\[\]()#+!<>|~]/g, "\\$&");
+}
+
+// Returns true if the person can join without approval
+function allowed(policy, person) {
+   if ((policy.domains.length == 0) && (policy.orgIds.length == 0)) {
+      return true;
+   }
+   const domain = (person.emails[0] || "").split("@").pop().toLowerCase();
+   if (policy.domains.indexOf(domain) >= 0) {
+      return true;
+   }
+   return !!person.orgId && (policy.orgIds.indexOf(person.orgId) >= 0);
+}
+
+
+// Creates the onboarding service of a space
+//   - bot: Webex API client acting as the bot, see ./webex-client.js
+//   - spaceId: the space moderated by the bot
+//   - options.policy: [optional] defaults to policyFromEnv()
+//   - options.reviewURL: function (requestId, decision), returns the URL of the page where a moderator confirms a decision
+function onboarding(bot, spaceId, options) {
+   const policy = options.policy || policyFromEnv();
+   const requests = {}; // by id
+   const pendingByPerson = {}; // person id -> request id
+
+   // Adds a person to the space, callback(err, result) with result: JOINED or ALREADY_MEMBER
+   function addMember(person, callback) {
+      const membership = {
+         roomId: spaceId,
+         personEmail: person.emails[0],
+         isModerator: policy.asModerator
+      };
+      bot.post("/memberships", membership, function (err) {
+         if (err) {
+            if (err.status == 409) {
+               debug("user already in space");
+               return callback(null, ALREADY_MEMBER);
+            }
+            return callback(err);
+         }
+         debug("user added to space");
+         callback(null, JOINED);
+      });
+   }
+
+   function notify(markdown, callback) {
+      bot.post("/messages", { roomId: spaceId, markdown: markdown }, function (err) {
+         if (err) {
+            debug(`could not notify moderators, status: ${err.status}, trackingId: ${err.trackingId}`);
+         }
+         callback && callback(err);
+      });
+   }
+
+   // Processes a join request from a person, as they authorize the integration
+   //   - callback(err, result, request) with result: JOINED, ALREADY_MEMBER or PENDING_APPROVAL
+   function join(person, callback) {
+      if (allowed(policy, person)) {
+         return addMember(person, function (err, result) {
+            callback(err, result);
+         });
+      }
+
+      // Do not notify moderators twice for the same person
+      const existing = requests[pendingByPerson[person.id]];
+      if (existing) {
+         debug("join request already pending");
+         return callback(null, PENDING_APPROVAL, existing);
+      }
+
+      const request = {
+         id: crypto.randomBytes(16).toString("hex"),
+         status: PENDING,
+         person: {
+            id: person.id,
+            displayName: person.displayName,
+            emails: person.emails,
+            orgId: person.orgId || null
+         },
+         created: new Date().toISOString()
+      };
+      const text = `**${escapeMarkdown(person.displayName)}** (${escapeMarkdown(person.emails[0])}) asks to join this space: `
+         + `[approve](${options.reviewURL(request.id, "approve")}) or [deny](${options.reviewURL(request.id, "deny")})`;
+      notify(text, function (err) {
+         if (err) {
+            return callback(err);
+         }
+         requests[request.id] = request;
+         pendingByPerson[person.id] = request.id;
+         debug("join request queued for approval");
+         callback(null, PENDING_APPROVAL, request);
+      });
+   }
+
+   // Checks a person is a moderator of the space, callback(err, isModerator)
+   function isModerator(personId, callback) {
+      bot.get("/memberships", { roomId: spaceId, personId: personId }, function (err, body) {
+         if (err) {
+            return callback(err);
+         }
+         const membership = ((body && body.items) || [])[0];
+         callback(null, !!(membership && membership.isModerator));
+      });
+   }
+
+   // Approves or denies a pending request, on behalf of a moderator
+   //   - decision: 'approve' or 'deny'
+   //   - moderator: { personId, displayName }
+   //   - callback(err, result) with result: JOINED, ALREADY_MEMBER or DENIED, err.notPending is true if the request is unknown or already decided
+   // The request is marked as decided right away: a concurrent decision gets an error, rather than adding the person twice
+   function decide(requestId, decision, moderator, callback) {
+      const request = requests[requestId];
+      if (!request || (request.status != PENDING)) {
+         const err = new Error("no pending join request with this id");
+         err.notPending = true;
+         return callback(err);
+      }
+      request.status = (decision == "approve") ? APPROVED : DENIED;
+      request.decidedBy = moderator.displayName;
+      request.decided = new Date().toISOString();
+
+      function done(result) {
+         delete pendingByPerson[request.person.id];
+         notify(`Join request from **${escapeMarkdown(request.person.displayName)}** was ${request.status} by ${escapeMarkdown(moderator.displayName)}`);
+         callback(null, result);
+      }
+
+      if (request.status == DENIED) {
+         return done(DENIED);
+      }
+      addMember(request.person, function (err, result) {
+         if (err) {
+            // Back to the queue, so that a moderator can approve it again
+            request.status = PENDING;
+            delete request.decidedBy;
+            delete request.decided;
+            return callback(err);
+         }
+         done(result);
+      });
+   }
+
+   return {
+      spaceId: spaceId,
+      policy: policy,
+      join: join,
+      isModerator: isModerator,
+      decide: decide,
+      get: function (requestId) {
+         return requests[requestId] || null;
+      }
+   };
+}
+
+
+module.exports = onboarding;
+module.exports.policyFromEnv = policyFromEnv;
+module.exports.allowed = allowed;
+module.exports.JOINED = JOINED;
+module.exports.ALREADY_MEMBER = ALREADY_MEMBER;
+module.exports.PENDING_APPROVAL = PENDING_APPROVAL;
+module.exports.DENIED = DENIED;
+module.exports.PENDING = PENDING;
+module.exports.APPROVED = APPROVED;
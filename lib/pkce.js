@@ -0,0 +1,70 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Proof Key for Code Exchange (PKCE), see RFC 7636: https://tools.ietf.org/html/rfc7636
+ *
+ * A code verifier is generated for each flow, and stored along with the flow's state.
+ * The authorize URL carries the derived code challenge, and the token request carries the verifier.
+ *
+ */
+
+const crypto = require("crypto");
+
+const S256 = "S256";
+const PLAIN = "plain";
+
+
+// Returns the PKCE method to use from a setting ('S256', 'plain', or anything else to turn PKCE off)
+// [NOTE] 'true' and 'on' are accepted as synonyms of 'S256'
+function method(setting) {
+   if (!setting) {
+      return null;
+   }
+
+   switch (setting.toLowerCase()) {
+      case "s256":
+      case "true":
+      case "on":
+         return S256;
+      case "plain":
+         return PLAIN;
+      default:
+         return null;
+   }
+}
+
+
+// Generates a high-entropy code verifier: 43 chars from the unreserved character set
+function generateVerifier() {
+   return base64url(crypto.randomBytes(32));
+}
+
+
+// Derives the code challenge from a verifier
+function challenge(verifier, challengeMethod) {
+   if (challengeMethod == PLAIN) {
+      return verifier;
+   }
+
+   return base64url(crypto.createHash("sha256").update(verifier, "ascii").digest());
+}
+
+
+function base64url(buffer) {
+   return buffer.toString("base64")
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+}
+
+
+module.exports = {
+   S256: S256,
+   PLAIN: PLAIN,
+   method: method,
+   generateVerifier: generateVerifier,
+   challenge: challenge
+};
@@ -0,0 +1,68 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * In-memory rate limiter: each key (ex: a user) gets a budget of calls per fixed time window.
+ *
+ * Counters are local to the process: when running several instances, each one enforces its own budget.
+ *
+ * Usage:
+ *    const limiter = rateLimiter({ limit: 30, window: 60 * 1000 });
+ *    const result = limiter.take(personId);
+ *    if (!result.allowed) { ... retry in result.retryAfter seconds }
+ *
+ */
+
+const DEFAULTS = {
+   limit: 30, // calls per window
+   window: 60 * 1000 // in milliseconds
+};
+
+
+module.exports = function rateLimiter(options) {
+   const settings = Object.assign({}, DEFAULTS, options);
+   const windows = new Map();
+   let lastPrune = Date.now();
+
+   // Forgets the windows which have ended, at most once per window
+   function prune(now) {
+      if (now - lastPrune < settings.window) {
+         return;
+      }
+      lastPrune = now;
+      windows.forEach(function (current, key) {
+         if (current.resetAt <= now) {
+            windows.delete(key);
+         }
+      });
+   }
+
+   // Counts a call for the key
+   //   - returns { allowed, limit, remaining, retryAfter }, retryAfter is the number of seconds until the window resets
+   function take(key) {
+      const now = Date.now();
+      prune(now);
+
+      let current = windows.get(key);
+      if (!current || (current.resetAt <= now)) {
+         current = { count: 0, resetAt: now + settings.window };
+         windows.set(key, current);
+      }
+      current.count++;
+
+      return {
+         allowed: current.count <= settings.limit,
+         limit: settings.limit,
+         remaining: Math.max(0, settings.limit - current.count),
+         retryAfter: Math.ceil((current.resetAt - now) / 1000)
+      };
+   }
+
+   return {
+      take: take
+   };
+};
+
+module.exports.DEFAULTS = DEFAULTS;
@@ -0,0 +1,58 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Redaction helpers, so that tokens and secrets never show up in logs.
+ *
+ * Usage:
+ *    debug("fetched tokens: " + redact(json));
+ *
+ */
+
+// Properties holding secrets, in both the Webex wire format and the token store format
+const SECRET_KEYS = [
+   "access_token", "refresh_token", "id_token", "code", "code_verifier", "client_secret",
+   "accessToken", "refreshToken", "secret", "authorization"
+];
+
+
+// Masks a secret value, only keeping a few chars to help correlate log entries
+function mask(value) {
+   if (typeof value != "string") {
+      return "[REDACTED]";
+   }
+   if (value.length <= 12) {
+      return "***";
+   }
+   return value.substring(0, 4) + "..." + "[REDACTED]";
+}
+
+
+// Returns a deep copy of a value, with secret properties masked
+function scrub(value) {
+   if (Array.isArray(value)) {
+      return value.map(scrub);
+   }
+   if (value && (typeof value == "object")) {
+      const copy = {};
+      Object.keys(value).forEach(function (key) {
+         copy[key] = (SECRET_KEYS.indexOf(key) >= 0) ? mask(value[key]) : scrub(value[key]);
+      });
+      return copy;
+   }
+   return value;
+}
+
+
+// Returns a loggable string for a value, with secrets masked
+function redact(value) {
+   return JSON.stringify(scrub(value));
+}
+
+
+module.exports = redact;
+module.exports.mask = mask;
+module.exports.scrub = scrub;
+module.exports.SECRET_KEYS = SECRET_KEYS;
@@ -0,0 +1,203 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Background refresh of the stored grants.
+ *
+ * The scheduler scans the token store at regular intervals, and refreshes the access tokens that expire within the lead time.
+ *    - refreshed tokens replace the previous ones in a single atomic update of the store, unless the grant changed in the
+ *      meantime (ex: the user authorized again)
+ *    - network errors and 5xx responses are retried with exponential backoff and jitter
+ *    - if the refresh token has expired or was revoked, the grant is marked as needing re-consent
+ *
+ * Events:
+ *    - 'refreshed' (record): a new access token was issued
+ *    - 'reauthorize' (record, reason): the user has to go through the OAuth flow again
+ *    - 'failed' (err, record): a refresh failed after all retries, it will be attempted again on the next scan
+ *
+ */
+
+const EventEmitter = require("events");
+const debug = require("debug")("oauth:refresh");
+
+const RECONSENT_REQUIRED = "reconsent_required";
+
+const DEFAULTS = {
+   leadTime: 24 * 60 * 60 * 1000, // refresh access tokens 1 day before they expire
+   interval: 60 * 60 * 1000,      // scan the token store every hour
+   maxRetries: 5,
+   baseDelay: 1000,
+   maxDelay: 60 * 1000
+};
+
+
+// Creates a scheduler
+//   - store: a token store, see ./token-store
+//   - refresh: function (refreshToken, callback(err, tokens)), where err.retryable tells if the error is transient
+//   - options: overrides DEFAULTS, delays in milliseconds
+module.exports = function refreshScheduler(store, refresh, options) {
+   const settings = Object.assign({}, DEFAULTS, options);
+   const scheduler = new EventEmitter();
+   const inflight = new Map(); // personId -> callbacks waiting for the pending refresh
+   let timer = null;
+
+   // Delay before the nth retry: exponential backoff with full jitter
+   function backoff(attempt) {
+      const ceiling = Math.min(settings.maxDelay, settings.baseDelay * Math.pow(2, attempt));
+      return Math.floor(Math.random() * ceiling);
+   }
+
+   function markReconsent(record, reason, callback) {
+      store.update(record.personId, function (current) {
+         if (!current || (current.refreshToken != record.refreshToken)) {
+            // Grant was deleted or renewed in the meantime
+            return null;
+         }
+         current.status = RECONSENT_REQUIRED;
+         current.statusReason = reason;
+         current.updated = new Date().toISOString();
+         return current;
+      }, function (err, updated) {
+         if (!err && updated) {
+            debug(`grant for ${updated.displayName} needs re-consent: ${reason}`);
+            scheduler.emit("reauthorize", updated, reason);
+         }
+         callback(err);
+      });
+   }
+
+   // Compare and swap: only replaces the tokens that were used to refresh, callback(err, updated) with a null record otherwise
+   function save(record, tokens, callback) {
+      store.update(record.personId, function (current) {
+         if (!current || (current.refreshToken != record.refreshToken)) {
+            debug(`grant for ${record.displayName} changed while refreshing, discarding refreshed tokens`);
+            return null;
+         }
+
+         const now = Date.now();
+         const updated = Object.assign({}, current, {
+            accessToken: tokens.access_token,
+            accessTokenExpiresAt: new Date(now + tokens.expires_in * 1000).toISOString(),
+            refreshToken: tokens.refresh_token,
+            refreshTokenExpiresAt: new Date(now + tokens.refresh_token_expires_in * 1000).toISOString(),
+            refreshed: new Date(now).toISOString(),
+            updated: new Date(now).toISOString()
+         });
+         delete updated.status;
+         delete updated.statusReason;
+         return updated;
+      }, callback);
+   }
+
+   // Refreshes the access token of a grant, retrying transient errors
+   //   - callback(err, updated): updated is the refreshed record, or null if the grant could not be refreshed
+   // Calls made while a refresh of the grant is pending get the result of that refresh
+   function refreshGrant(record, callback) {
+      callback = callback || function () { };
+      if (inflight.has(record.personId)) {
+         inflight.get(record.personId).push(callback);
+         return;
+      }
+      inflight.set(record.personId, [callback]);
+
+      function done(err, updated) {
+         const waiting = inflight.get(record.personId);
+         inflight.delete(record.personId);
+         waiting.forEach(function (callback) {
+            callback(err, updated);
+         });
+      }
+
+      if (Date.parse(record.refreshTokenExpiresAt) <= Date.now()) {
+         return markReconsent(record, "refresh token expired", function (err) {
+            done(err, null);
+         });
+      }
+
+      function attempt(n) {
+         refresh(record.refreshToken, function (err, tokens) {
+            if (!err) {
+               return save(record, tokens, function (err, updated) {
+                  if (!err && updated) {
+                     debug(`refreshed access token for ${updated.displayName}, expires at: ${updated.accessTokenExpiresAt}`);
+                     scheduler.emit("refreshed", updated);
+                  }
+                  done(err, updated);
+               });
+            }
+
+            if (!err.retryable) {
+               return markReconsent(record, "refresh token rejected" + (err.statusCode ? " with status code: " + err.statusCode : ""), function (storeErr) {
+                  done(storeErr || err, null);
+               });
+            }
+
+            if (n >= settings.maxRetries) {
+               debug(`giving up refreshing access token for ${record.displayName} after ${n} retries`);
+               scheduler.emit("failed", err, record);
+               return done(err, null);
+            }
+
+            const delay = backoff(n);
+            debug(`could not refresh access token for ${record.displayName}, retrying in ${delay}ms, err: ${err.message}`);
+            setTimeout(attempt, delay, n + 1);
+         });
+      }
+      attempt(0);
+   }
+
+   // Scans the token store, and refreshes the grants which access token expires within the lead time
+   function scan(callback) {
+      callback = callback || function () { };
+      store.list(function (err, records) {
+         if (err) {
+            debug("could not list grants, err: " + err.message);
+            return callback(err);
+         }
+
+         const threshold = Date.now() + settings.leadTime;
+         const due = records.filter(function (record) {
+            return (record.status != RECONSENT_REQUIRED) && (Date.parse(record.accessTokenExpiresAt) <= threshold);
+         });
+         debug(`scanned ${records.length} grant(s), ${due.length} due for refresh`);
+
+         let remaining = due.length;
+         if (remaining == 0) {
+            return callback(null, 0);
+         }
+         due.forEach(function (record) {
+            refreshGrant(record, function () {
+               remaining--;
+               if (remaining == 0) {
+                  callback(null, due.length);
+               }
+            });
+         });
+      });
+   }
+
+   scheduler.start = function () {
+      if (timer) {
+         return;
+      }
+      debug(`starting: scanning every ${settings.interval / 1000}s, refreshing ${settings.leadTime / 1000}s before expiration`);
+      scan();
+      timer = setInterval(scan, settings.interval);
+      timer.unref();
+   };
+
+   scheduler.stop = function () {
+      clearInterval(timer);
+      timer = null;
+   };
+
+   scheduler.scan = scan;
+   scheduler.refreshGrant = refreshGrant;
+
+   return scheduler;
+};
+
+module.exports.RECONSENT_REQUIRED = RECONSENT_REQUIRED;
+module.exports.DEFAULTS = DEFAULTS;
@@ -0,0 +1,25 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Express middleware that identifies each request: req.id
+ *
+ * The id set by a reverse proxy in the X-Request-Id header is kept if it looks sane, a new one is generated otherwise.
+ * It is sent back in the X-Request-Id response header, so that users can quote it when reporting an issue.
+ *
+ */
+
+const crypto = require("crypto");
+
+const HEADER = "X-Request-Id";
+
+module.exports = function requestId() {
+   return function (req, res, next) {
+      const incoming = req.get(HEADER);
+      req.id = (incoming && /^[\w\-.:]{1,128}$/.test(incoming)) ? incoming : crypto.randomBytes(16).toString("hex");
+      res.set(HEADER, req.id);
+      next();
+   };
+};
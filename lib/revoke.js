@@ -0,0 +1,48 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Revocation of the authorizations a user granted to the integration.
+ *
+ * Webex exposes the user's authorizations via the /authorizations resource, which requires extra privileges:
+ * revocation is hence best effort, and failures are reported to the caller so that it can fall back to the idbroker logout.
+ *
+ */
+
+const debug = require("debug")("oauth:revoke");
+
+// Deletes the authorizations granted by a person to the integration
+//   - client: a Webex API client authenticated as the user, see ./webex-client
+//   - callback(err, count): count is the number of authorizations deleted
+module.exports = function revokeAuthorizations(client, clientId, personId, callback) {
+   client.get("/authorizations", { personId: personId }, function (err, body) {
+      if (err) {
+         debug(`could not list authorizations, status: ${err.status}, trackingId: ${err.trackingId}`);
+         return callback(err);
+      }
+
+      const authorizations = ((body && body.items) || []).filter(function (authorization) {
+         return authorization.applicationId == clientId || authorization.clientId == clientId;
+      });
+
+      let remaining = authorizations.length;
+      let failure = null;
+      if (remaining == 0) {
+         return callback(null, 0);
+      }
+      authorizations.forEach(function (authorization) {
+         client.delete("/authorizations/" + encodeURIComponent(authorization.id), function (err) {
+            if (err) {
+               debug(`could not delete authorization, status: ${err.status}, trackingId: ${err.trackingId}`);
+               failure = failure || err;
+            }
+            remaining--;
+            if (remaining == 0) {
+               callback(failure, authorizations.length);
+            }
+         });
+      });
+   });
+};
@@ -0,0 +1,60 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Scope helpers for incremental consent (step-up).
+ *
+ * The integration starts with a minimal set of scopes, and features declare the scopes they require.
+ * When a user misses some of them, the user is sent back through the authorize URL, asking for the union of
+ * the scopes already granted and the ones required.
+ *
+ */
+
+// Parses a list of scopes: space (or comma) separated string, or array
+function parse(value) {
+   if (!value) {
+      return [];
+   }
+   const list = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+   return list.filter(Boolean);
+}
+
+// Union of several lists of scopes, without duplicates
+function union() {
+   const all = [];
+   Array.prototype.slice.call(arguments).forEach(function (list) {
+      parse(list).forEach(function (scope) {
+         if (all.indexOf(scope) < 0) {
+            all.push(scope);
+         }
+      });
+   });
+   return all;
+}
+
+// Scopes of 'required' which are not part of 'granted'
+// [NOTE] spark:all grants all spark:* scopes
+function missing(granted, required) {
+   const grantedList = parse(granted);
+   return parse(required).filter(function (scope) {
+      if (grantedList.indexOf(scope) >= 0) {
+         return false;
+      }
+      return !((grantedList.indexOf("spark:all") >= 0) && scope.startsWith("spark:"));
+   });
+}
+
+// Formats a list of scopes as expected by the authorize URL
+function format(list) {
+   return parse(list).join(" ");
+}
+
+
+module.exports = {
+   parse: parse,
+   union: union,
+   missing: missing,
+   format: format
+};
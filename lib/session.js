@@ -0,0 +1,42 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Browser sessions, identified by a signed cookie.
+ *
+ * The signing secret is read from the SESSION_SECRET variable.
+ * If none is specified, a random secret is generated: sessions will then not survive a restart.
+ *
+ */
+
+const crypto = require("crypto");
+const session = require("express-session");
+const debug = require("debug")("oauth:session");
+
+const COOKIE_NAME = "integration.sid";
+
+// Returns an Express session middleware
+//   - secure: set to true if the integration is served over HTTPS
+module.exports = function sessionMiddleware(secure) {
+   let secret = process.env.SESSION_SECRET;
+   if (!secret) {
+      debug("no SESSION_SECRET specified, generating a random one: sessions will not survive a restart");
+      secret = crypto.randomBytes(32).toString("hex");
+   }
+
+   return session({
+      name: COOKIE_NAME,
+      secret: secret,
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+         httpOnly: true,
+         sameSite: "lax",
+         secure: secure
+      }
+   });
+};
+
+module.exports.COOKIE_NAME = COOKIE_NAME;
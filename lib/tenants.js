@@ -0,0 +1,263 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Tenants: the Webex integrations served by this process.
+ *
+ * By default, a single integration is configured from the CLIENT_ID, CLIENT_SECRET, REDIRECT_URI and SCOPES variables.
+ * Several integrations (ex: prod, staging, a partner org) can be served by pointing the TENANTS_FILE variable
+ * to a JSON or YAML file:
+ *
+ *    tenants:
+ *      - id: staging                            # lowercase letters, digits and dashes
+ *        clientId: C1234...
+ *        clientSecret: env:STAGING_SECRET       # clear value, or 'env:' followed by the name of an env variable
+ *        scopes: spark:people_read              # defaults to spark:people_read
+ *        redirectPath: /oauth/staging           # defaults to /oauth/<id>
+ *        redirectURI: https://...               # defaults to PUBLIC_URL followed by the redirect path
+ *        namespace: staging                     # token store namespace, defaults to the tenant id
+ *        branding:                              # [optional] used by the EJS templates
+ *          name: Staging
+ *          logoURL: https://example.com/logo.png
+ *          color: "#d04a02"
+ *
+ * Accounts are identified across tenants by a key: '<tenant id>/<person id>'
+ *
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const namespaced = require("./token-store/namespaced");
+const debug = require("debug")("oauth:tenants");
+
+const DEFAULT_ID = "default";
+const DEFAULT_SCOPES = "spark:people_read";
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+
+// Reads a tenants file, JSON or YAML depending on its extension
+function readFile(filePath) {
+   const content = fs.readFileSync(filePath, "utf8");
+   const ext = path.extname(filePath).toLowerCase();
+   const parsed = ((ext == ".yaml") || (ext == ".yml")) ? yaml.load(content) : JSON.parse(content);
+   if (!parsed || !Array.isArray(parsed.tenants)) {
+      throw new Error(`tenants file ${filePath} must define a 'tenants' list`);
+   }
+   return parsed.tenants;
+}
+
+// Resolves 'env:NAME' references
+function secret(value) {
+   if ((typeof value == "string") && value.startsWith("env:")) {
+      return process.env[value.slice(4)];
+   }
+   return value;
+}
+
+// Path of an absolute URL, or null
+function redirectPath(redirectURI) {
+   try {
+      return new URL(redirectURI).pathname;
+   }
+   catch (err) {
+      return null;
+   }
+}
+
+// Checks and completes the tenants settings, throws an error listing all issues
+//   - publicURL: base URL of the integration, used to compute the default redirect URIs
+function normalize(entries, publicURL) {
+   const problems = [];
+   const tenants = entries.map(function (entry, index) {
+      entry = entry || {};
+      const where = `tenant #${index + 1}` + (entry.id ? ` (${entry.id})` : "");
+      const id = String(entry.id || "");
+      if (!ID_PATTERN.test(id)) {
+         problems.push(`${where}: id must be made of lowercase letters, digits and dashes`);
+      }
+
+      const tenant = {
+         id: id,
+         clientId: secret(entry.clientId),
+         clientSecret: secret(entry.clientSecret),
+         scopes: Array.isArray(entry.scopes) ? entry.scopes.join(" ") : (entry.scopes || DEFAULT_SCOPES),
+         redirectPath: entry.redirectPath || ("/oauth/" + id),
+         namespace: (entry.namespace === undefined) ? id : String(entry.namespace),
+         branding: {
+            name: (entry.branding && entry.branding.name) || id,
+            logoURL: (entry.branding && entry.branding.logoURL) || null,
+            color: (entry.branding && entry.branding.color) || null
+         }
+      };
+      tenant.redirectURI = entry.redirectURI || (publicURL + tenant.redirectPath);
+
+      if (!tenant.clientId) {
+         problems.push(`${where}: missing clientId`);
+      }
+      if (!tenant.clientSecret) {
+         problems.push(`${where}: missing clientSecret`);
+      }
+      if (!/^\/[\w\-\/]*$/.test(tenant.redirectPath)) {
+         problems.push(`${where}: redirectPath must be a path, such as /oauth/${id}`);
+      }
+      // [NOTE] behind a path-based reverse proxy, the redirect URI may carry an extra prefix
+      if (!(redirectPath(tenant.redirectURI) || "").endsWith(tenant.redirectPath)) {
+         problems.push(`${where}: redirectURI must be an absolute URL ending with the redirect path: ${tenant.redirectPath}`);
+      }
+      if (tenant.namespace && !/^[\w\-]+$/.test(tenant.namespace)) {
+         problems.push(`${where}: namespace must be made of letters, digits, dashes and underscores`);
+      }
+      // Branding values end up in HTML attributes
+      if (tenant.branding.color && !/^#[0-9a-f]{3,8}$/i.test(tenant.branding.color)) {
+         problems.push(`${where}: branding color must be an hex color, such as #d04a02`);
+      }
+      if (tenant.branding.logoURL && !/^https?:\/\//.test(tenant.branding.logoURL)) {
+         problems.push(`${where}: branding logoURL must be an http(s) URL`);
+      }
+      return tenant;
+   });
+
+   if (tenants.length == 0) {
+      problems.push("no tenant defined");
+   }
+   ["id", "namespace", "redirectPath"].forEach(function (property) {
+      const seen = {};
+      tenants.forEach(function (tenant) {
+         if (seen[tenant[property]]) {
+            problems.push(`tenants ${seen[tenant[property]]} and ${tenant.id} share the same ${property}: ${tenant[property]}`);
+         }
+         seen[tenant[property]] = tenant.id;
+      });
+   });
+
+   if (problems.length > 0) {
+      throw new Error("invalid tenants configuration:\n   - " + problems.join("\n   - "));
+   }
+   return tenants;
+}
+
+// Loads the tenants from the TENANTS_FILE, or the single tenant described by the env variables
+//   - defaults: { clientId, clientSecret, scopes, redirectURI } for the single tenant
+function fromEnv(publicURL, defaults) {
+   if (process.env.TENANTS_FILE) {
+      debug("loading tenants from: " + process.env.TENANTS_FILE);
+      return normalize(readFile(process.env.TENANTS_FILE), publicURL);
+   }
+
+   // Single tenant: flows complete on /oauth, and grants are stored without namespace
+   return normalize([{
+      id: DEFAULT_ID,
+      clientId: defaults.clientId,
+      clientSecret: defaults.clientSecret,
+      scopes: defaults.scopes,
+      redirectURI: defaults.redirectURI,
+      redirectPath: "/oauth",
+      namespace: "",
+      branding: { name: "Webex" }
+   }], publicURL);
+}
+
+
+// Registry of the tenants, each tenant gets a namespaced view of the token store: tenant.store
+//   - registry.store: token store keyed by account key ('<tenant id>/<person id>'), across tenants
+function registry(tenants, store) {
+   const byId = {};
+   tenants.forEach(function (tenant) {
+      tenant.store = namespaced(store, tenant.namespace, tenant.id);
+      byId[tenant.id] = tenant;
+   });
+
+   function keyOf(record) {
+      return record.tenant + "/" + record.personId;
+   }
+
+   // Returns { tenant, personId }, tenant is null if the key does not match any tenant
+   function parseKey(key) {
+      const separator = String(key).indexOf("/");
+      if (separator < 0) {
+         return { tenant: null, personId: null };
+      }
+      return {
+         tenant: byId[key.slice(0, separator)] || null,
+         personId: key.slice(separator + 1)
+      };
+   }
+
+   const accountStore = {
+      name: store.name,
+
+      get: function (key, callback) {
+         const parsed = parseKey(key);
+         if (!parsed.tenant) {
+            return setImmediate(callback, null, null);
+         }
+         parsed.tenant.store.get(parsed.personId, callback);
+      },
+
+      put: function (record, callback) {
+         const tenant = byId[record.tenant];
+         if (!tenant) {
+            return setImmediate(callback, new Error("unknown tenant: " + record.tenant));
+         }
+         tenant.store.put(record, callback);
+      },
+
+      update: function (key, change, callback) {
+         const parsed = parseKey(key);
+         if (!parsed.tenant) {
+            return setImmediate(callback, null, null);
+         }
+         parsed.tenant.store.update(parsed.personId, change, callback);
+      },
+
+      delete: function (key, callback) {
+         const parsed = parseKey(key);
+         if (!parsed.tenant) {
+            return setImmediate(callback, null, false);
+         }
+         parsed.tenant.store.delete(parsed.personId, callback);
+      },
+
+      list: function (callback) {
+         let all = [];
+         let remaining = tenants.length;
+         let failure = null;
+         tenants.forEach(function (tenant) {
+            tenant.store.list(function (err, records) {
+               if (err) {
+                  failure = err;
+               }
+               else {
+                  all = all.concat(records);
+               }
+               remaining--;
+               if (remaining == 0) {
+                  callback(failure, failure ? null : all);
+               }
+            });
+         });
+      }
+   };
+
+   return {
+      list: tenants,
+      get: function (id) {
+         return byId[id] || null;
+      },
+      keyOf: keyOf,
+      parseKey: parseKey,
+      store: accountStore
+   };
+}
+
+
+module.exports = {
+   DEFAULT_ID: DEFAULT_ID,
+   readFile: readFile,
+   normalize: normalize,
+   fromEnv: fromEnv,
+   registry: registry
+};
@@ -0,0 +1,160 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Envelope encryption in front of a token store adapter.
+ *
+ * For each write, a fresh data key encrypts the access and refresh tokens, and the webhook secrets, with AES-256-GCM.
+ * The data key is then itself encrypted (wrapped) with the keyring's current key, and stored along with the record.
+ * The person id is bound to the ciphertext as additional authenticated data, so that secrets cannot be swapped between records.
+ *
+ * Key rotation: records wrapped with a retired key stay readable, and get re-encrypted with the current key on their next write.
+ *
+ * A record that cannot be decrypted (ex: its key was removed from the keyring) fails get(), but is skipped and logged by
+ * list(), so that the other grants can still be scanned, administered and checked.
+ *
+ */
+
+const crypto = require("crypto");
+const log = require("../log");
+
+const ALGORITHM = "aes-256-gcm";
+const SECRET_FIELDS = ["accessToken", "refreshToken", "webhooks"];
+
+
+function seal(key, plaintext, aad) {
+   const iv = crypto.randomBytes(12);
+   const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+   cipher.setAAD(Buffer.from(aad, "utf8"));
+   const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+   return {
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: data.toString("base64")
+   };
+}
+
+function open(key, sealed, aad) {
+   const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, "base64"));
+   decipher.setAAD(Buffer.from(aad, "utf8"));
+   decipher.setAuthTag(Buffer.from(sealed.tag, "base64"));
+   return Buffer.concat([decipher.update(Buffer.from(sealed.data, "base64")), decipher.final()]);
+}
+
+
+function encrypt(keyring, record) {
+   const secrets = {};
+   SECRET_FIELDS.forEach(function (field) {
+      secrets[field] = record[field];
+   });
+
+   const dataKey = crypto.randomBytes(32);
+   const encrypted = Object.assign({}, record);
+   SECRET_FIELDS.forEach(function (field) {
+      delete encrypted[field];
+   });
+   encrypted.secrets = {
+      alg: ALGORITHM,
+      kid: keyring.currentId,
+      key: seal(keyring.current, dataKey, record.personId),
+      payload: seal(dataKey, Buffer.from(JSON.stringify(secrets), "utf8"), record.personId)
+   };
+   return encrypted;
+}
+
+function decrypt(keyring, stored) {
+   if (!stored.secrets) {
+      // Record written before encryption was turned on, it will get encrypted on its next write
+      return stored;
+   }
+
+   const keyEncryptionKey = keyring.get(stored.secrets.kid);
+   if (!keyEncryptionKey) {
+      throw new Error("no token encryption key found with id: " + stored.secrets.kid + ", for person: " + stored.personId);
+   }
+
+   const dataKey = open(keyEncryptionKey, stored.secrets.key, stored.personId);
+   const secrets = JSON.parse(open(dataKey, stored.secrets.payload, stored.personId).toString("utf8"));
+
+   const record = Object.assign({}, stored, secrets);
+   delete record.secrets;
+   return record;
+}
+
+
+// Wraps a token store adapter so that tokens are encrypted before they reach it
+module.exports = function encryptedStore(store, keyring) {
+
+   // Decrypts the records, skipping the ones that cannot be decrypted
+   function decryptAll(records) {
+      const decrypted = [];
+      records.forEach(function (record) {
+         try {
+            decrypted.push(decrypt(keyring, record));
+         }
+         catch (err) {
+            log.error("token_decrypt_failed", { personId: record.personId, kid: record.secrets && record.secrets.kid, reason: err.message });
+         }
+      });
+      return decrypted;
+   }
+
+   return {
+      name: store.name + "+encrypted",
+
+      get: function (personId, callback) {
+         store.get(personId, function (err, stored) {
+            if (err || !stored) {
+               return callback(err, null);
+            }
+            let record;
+            try {
+               record = decrypt(keyring, stored);
+            }
+            catch (err) {
+               return callback(err);
+            }
+            callback(null, record);
+         });
+      },
+
+      put: function (record, callback) {
+         let encrypted;
+         try {
+            encrypted = encrypt(keyring, record);
+         }
+         catch (err) {
+            return setImmediate(callback, err);
+         }
+         store.put(encrypted, function (err) {
+            callback(err, err ? null : record);
+         });
+      },
+
+      update: function (personId, change, callback) {
+         let updated = null;
+         store.update(personId, function (stored) {
+            // Throwing leaves the store unchanged, and reports the error
+            updated = change(stored ? decrypt(keyring, stored) : null);
+            return updated ? encrypt(keyring, updated) : null;
+         }, function (err, written) {
+            callback(err, (err || !written) ? null : updated);
+         });
+      },
+
+      delete: function (personId, callback) {
+         store.delete(personId, callback);
+      },
+
+      list: function (callback) {
+         store.list(function (err, records) {
+            if (err) {
+               return callback(err);
+            }
+            callback(null, decryptAll(records));
+         });
+      }
+   };
+};
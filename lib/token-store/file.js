@@ -0,0 +1,124 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * File-backed token store: grants are kept in a JSON file, keyed by Webex person id.
+ *
+ * The file is read once at startup, and rewritten after each change.
+ * Writes are serialized, and go through a temporary file that is renamed, so that a crash never leaves a truncated file behind.
+ *
+ */
+
+const fs = require("fs");
+const path = require("path");
+const debug = require("debug")("oauth:store");
+
+module.exports = function fileStore(filePath) {
+   fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+   const records = new Map();
+   if (fs.existsSync(filePath)) {
+      const content = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      Object.keys(content).forEach(function (personId) {
+         records.set(personId, content[personId]);
+      });
+   }
+   debug(`loaded ${records.size} grant(s) from: ${filePath}`);
+
+   let writing = false;
+   let waiting = [];
+
+   function persist(callback) {
+      waiting.push(callback);
+      if (!writing) {
+         flush();
+      }
+   }
+
+   function flush() {
+      writing = true;
+      const callbacks = waiting;
+      waiting = [];
+
+      const content = {};
+      records.forEach(function (record, personId) {
+         content[personId] = record;
+      });
+
+      const tmpPath = filePath + ".tmp";
+      fs.writeFile(tmpPath, JSON.stringify(content, null, 2), { mode: 0o600 }, function (err) {
+         if (err) {
+            return done(err);
+         }
+         fs.rename(tmpPath, filePath, done);
+      });
+
+      function done(err) {
+         if (err) {
+            debug("could not write token store file, err: " + err.message);
+         }
+         writing = false;
+         callbacks.forEach(function (callback) {
+            callback(err);
+         });
+         if (waiting.length > 0) {
+            flush();
+         }
+      }
+   }
+
+   return {
+      name: "file",
+
+      get: function (personId, callback) {
+         const record = records.get(personId);
+         setImmediate(callback, null, record ? copy(record) : null);
+      },
+
+      put: function (record, callback) {
+         records.set(record.personId, copy(record));
+         persist(function (err) {
+            callback(err, err ? null : copy(record));
+         });
+      },
+
+      // The change is applied to the records in memory right away, so that no other write can come in between
+      update: function (personId, change, callback) {
+         const current = records.get(personId);
+         let updated;
+         try {
+            updated = change(current ? copy(current) : null);
+         }
+         catch (err) {
+            return setImmediate(callback, err, null);
+         }
+         if (!updated) {
+            return setImmediate(callback, null, null);
+         }
+         records.set(personId, copy(updated));
+         persist(function (err) {
+            callback(err, err ? null : copy(updated));
+         });
+      },
+
+      delete: function (personId, callback) {
+         if (!records.delete(personId)) {
+            return setImmediate(callback, null, false);
+         }
+         persist(function (err) {
+            callback(err, !err);
+         });
+      },
+
+      list: function (callback) {
+         const all = Array.from(records.values()).map(copy);
+         setImmediate(callback, null, all);
+      }
+   };
+};
+
+function copy(record) {
+   return JSON.parse(JSON.stringify(record));
+}
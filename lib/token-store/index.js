@@ -0,0 +1,99 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Token store: persists the grants issued to the integration, keyed by Webex person id.
+ *
+ * Every adapter exposes the same callback-based interface:
+ *    - get(personId, callback(err, record))     : record is null if not found
+ *    - put(record, callback(err, record))       : creates or replaces the record for record.personId
+ *    - update(personId, change, callback(err, record)) : atomic read-modify-write, change(current) is invoked synchronously
+ *      with the stored record (or null), and returns the record to write, or null to leave the store unchanged,
+ *      in which case the callback gets a null record
+ *    - delete(personId, callback(err, deleted)) : deleted is false if not found
+ *    - list(callback(err, records))
+ *
+ * The adapter is picked via the TOKEN_STORE variable:
+ *    - 'memory' (default): grants are lost on restart
+ *    - 'file': grants are kept in the JSON file pointed by TOKEN_STORE_PATH (defaults to ./data/tokens.json)
+ *
+ * If a TOKEN_ENCRYPTION_KEY is specified, access and refresh tokens are encrypted before they reach the adapter,
+ * see ./encrypted.js and ./keyring.js
+ *
+ * Several integrations can share a store, each through its own namespace, see ./namespaced.js
+ *
+ */
+
+const path = require("path");
+const debug = require("debug")("oauth:store");
+
+const encrypted = require("./encrypted");
+const keyring = require("./keyring");
+const namespaced = require("./namespaced");
+
+const adapters = {
+   memory: require("./memory"),
+   file: require("./file")
+};
+
+
+// Creates the token store configured via env variables
+function fromEnv() {
+   const name = process.env.TOKEN_STORE || "memory";
+   let store;
+   switch (name) {
+      case "memory":
+         debug("using in-memory token store");
+         store = adapters.memory();
+         break;
+      case "file":
+         const filePath = process.env.TOKEN_STORE_PATH || path.join(__dirname, "../../data/tokens.json");
+         debug("using file token store: " + filePath);
+         store = adapters.file(filePath);
+         break;
+      default:
+         throw new Error("unsupported TOKEN_STORE: " + name + ", expecting one of: " + Object.keys(adapters).join(", "));
+   }
+
+   const keys = keyring.fromEnv();
+   if (!keys) {
+      if (name != "memory") {
+         console.log("WARNING: tokens are stored in clear, please specify a TOKEN_ENCRYPTION_KEY");
+      }
+      return store;
+   }
+
+   debug("tokens are encrypted at rest with key: " + keys.currentId);
+   return encrypted(store, keys);
+}
+
+
+// Builds the record to store from a token response and the person's details from /people/me
+//   - tokens: { access_token, expires_in, refresh_token, refresh_token_expires_in, [scope] }
+//   - person: { id, displayName, emails }
+//   - scopes: the scopes requested, used if the token response does not list the scopes granted
+function createRecord(tokens, person, scopes) {
+   const now = Date.now();
+   return {
+      personId: person.id,
+      displayName: person.displayName,
+      email: (person.emails && person.emails[0]) || null,
+      accessToken: tokens.access_token,
+      accessTokenExpiresAt: new Date(now + tokens.expires_in * 1000).toISOString(),
+      refreshToken: tokens.refresh_token,
+      refreshTokenExpiresAt: new Date(now + tokens.refresh_token_expires_in * 1000).toISOString(),
+      scopes: (tokens.scope || scopes || "").split(/[\s,]+/).filter(Boolean),
+      created: new Date(now).toISOString(),
+      updated: new Date(now).toISOString()
+   };
+}
+
+
+module.exports = {
+   adapters: adapters,
+   fromEnv: fromEnv,
+   namespaced: namespaced,
+   createRecord: createRecord
+};
@@ -0,0 +1,69 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Key-encryption keys used to protect the tokens at rest.
+ *
+ * Keys are 256-bit, passed either as 64 hex chars or as base64:
+ *    - TOKEN_ENCRYPTION_KEY: the current key, used for every new write
+ *    - TOKEN_ENCRYPTION_OLD_KEYS: comma-separated list of retired keys, only used to read records written before a rotation
+ *
+ * Each key is identified by a short fingerprint, which is stored with the records it protects.
+ *
+ */
+
+const crypto = require("crypto");
+
+function parseKey(value) {
+   const trimmed = value.trim();
+   const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, "hex") : Buffer.from(trimmed, "base64");
+   if (key.length != 32) {
+      throw new Error("token encryption keys must be 256-bit long, as 64 hex chars or base64");
+   }
+   return key;
+}
+
+function fingerprint(key) {
+   return crypto.createHash("sha256").update(key).digest("hex").substring(0, 16);
+}
+
+
+// Creates a keyring from the current key and a list of retired keys
+function keyring(currentKey, oldKeys) {
+   const current = parseKey(currentKey);
+   const keys = new Map();
+   keys.set(fingerprint(current), current);
+   (oldKeys || []).forEach(function (value) {
+      const key = parseKey(value);
+      keys.set(fingerprint(key), key);
+   });
+
+   return {
+      currentId: fingerprint(current),
+      current: current,
+      get: function (keyId) {
+         return keys.get(keyId) || null;
+      }
+   };
+}
+
+
+// Creates the keyring configured via env variables, or returns null if no key is configured
+function fromEnv() {
+   if (!process.env.TOKEN_ENCRYPTION_KEY) {
+      return null;
+   }
+
+   const oldKeys = (process.env.TOKEN_ENCRYPTION_OLD_KEYS || "").split(",").filter(function (value) {
+      return value.trim().length > 0;
+   });
+   return keyring(process.env.TOKEN_ENCRYPTION_KEY, oldKeys);
+}
+
+
+module.exports = {
+   keyring: keyring,
+   fromEnv: fromEnv
+};
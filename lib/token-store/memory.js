@@ -0,0 +1,59 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * In-memory token store: grants are lost when the integration restarts.
+ * Handy for development and tests.
+ *
+ */
+
+module.exports = function memoryStore() {
+   const records = new Map();
+
+   return {
+      name: "memory",
+
+      get: function (personId, callback) {
+         const record = records.get(personId);
+         setImmediate(callback, null, record ? copy(record) : null);
+      },
+
+      put: function (record, callback) {
+         records.set(record.personId, copy(record));
+         setImmediate(callback, null, copy(record));
+      },
+
+      update: function (personId, change, callback) {
+         const current = records.get(personId);
+         let updated;
+         try {
+            updated = change(current ? copy(current) : null);
+         }
+         catch (err) {
+            return setImmediate(callback, err, null);
+         }
+         if (!updated) {
+            return setImmediate(callback, null, null);
+         }
+         records.set(personId, copy(updated));
+         setImmediate(callback, null, copy(updated));
+      },
+
+      delete: function (personId, callback) {
+         const deleted = records.delete(personId);
+         setImmediate(callback, null, deleted);
+      },
+
+      list: function (callback) {
+         const all = Array.from(records.values()).map(copy);
+         setImmediate(callback, null, all);
+      }
+   };
+};
+
+// Records are copied in and out, so that callers never share state with the store
+function copy(record) {
+   return JSON.parse(JSON.stringify(record));
+}
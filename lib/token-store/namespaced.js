@@ -0,0 +1,83 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Namespaced view of a token store, so that several integrations (tenants) can share the same adapter.
+ *
+ * Records are stored under 'namespace:personId', and exposed with their plain person id, tagged with the tenant id.
+ * The empty namespace stores records under their plain person id, which keeps the stores of single-tenant setups readable.
+ *
+ */
+
+const SEPARATOR = ":"; // never part of a Webex person id
+
+module.exports = function namespacedStore(store, namespace, tenant) {
+
+   function key(personId) {
+      return namespace ? namespace + SEPARATOR + personId : personId;
+   }
+
+   function owns(storedId) {
+      return namespace ? storedId.startsWith(namespace + SEPARATOR) : (storedId.indexOf(SEPARATOR) < 0);
+   }
+
+   function expose(stored) {
+      if (!stored) {
+         return null;
+      }
+      return Object.assign({}, stored, {
+         personId: namespace ? stored.personId.slice(namespace.length + SEPARATOR.length) : stored.personId,
+         tenant: tenant
+      });
+   }
+
+   return {
+      name: store.name,
+      namespace: namespace,
+
+      get: function (personId, callback) {
+         store.get(key(personId), function (err, stored) {
+            callback(err, err ? null : expose(stored));
+         });
+      },
+
+      put: function (record, callback) {
+         const stored = Object.assign({}, record, { personId: key(record.personId) });
+         delete stored.tenant;
+         store.put(stored, function (err) {
+            callback(err, err ? null : expose(stored));
+         });
+      },
+
+      update: function (personId, change, callback) {
+         store.update(key(personId), function (stored) {
+            const updated = change(expose(stored));
+            if (!updated) {
+               return null;
+            }
+            const next = Object.assign({}, updated, { personId: key(personId) });
+            delete next.tenant;
+            return next;
+         }, function (err, written) {
+            callback(err, err ? null : expose(written));
+         });
+      },
+
+      delete: function (personId, callback) {
+         store.delete(key(personId), callback);
+      },
+
+      list: function (callback) {
+         store.list(function (err, records) {
+            if (err) {
+               return callback(err);
+            }
+            callback(null, records.filter(function (stored) {
+               return owns(stored.personId);
+            }).map(expose));
+         });
+      }
+   };
+};
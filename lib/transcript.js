@@ -0,0 +1,371 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Exports the transcript of a space, as Markdown, JSON or a standalone HTML page (see togofurther/transcript.ejs).
+ *
+ *    - messages are read page by page from Webex, newest first, and each page is written to the response before the
+ *      next one is requested: the whole history is never held in memory
+ *    - an optional date range keeps the messages posted after (inclusive) and before (exclusive) the given dates
+ *    - senders are resolved to their display names through a people lookup, cached for the duration of the export
+ *    - attached files are described by their name, content type and size, read with a HEAD request on the file URL
+ *
+ * Failures before the first byte is written are reported to the callback, so that an error page can be shown.
+ * Once the download has started, the transcript is terminated with a note of the failure.
+ *
+ * Usage:
+ *    const range = transcript.range(req.query);
+ *    transcript.stream(client, roomId, { format: "md", range: range.value }, res, function (err, summary) { ... });
+ *
+ */
+
+const fs = require("fs");
+const path = require("path");
+const ejs = require("ejs");
+const debug = require("debug")("oauth:transcript");
+
+// Reading the space's title, its messages, and the names of the authors
+const SCOPES = ["spark:rooms_read", "spark:messages_read", "spark:people_read"];
+
+const PAGE_SIZE = 100; // maximum accepted by Webex
+const DAY_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+
+// File URLs are only requested with the user's access token if they point to Webex
+const WEBEX_FILE_HOSTS = /(^|\.)(webexapis\.com|ciscospark\.com|webex\.com)$/;
+
+const htmlTemplate = ejs.compile(fs.readFileSync(path.join(__dirname, "../togofurther/transcript.ejs"), "utf8"));
+
+
+// Parses the 'after' and 'before' query parameters: ISO 8601 dates, or days (YYYY-MM-DD, midnight UTC)
+//   - returns { value: { after, before } } with Date or null values, or { error }
+function range(query) {
+   const value = { after: null, before: null };
+   for (const key of ["after", "before"]) {
+      const text = (typeof query[key] == "string") ? query[key].trim() : "";
+      if (!text) {
+         continue;
+      }
+      const date = new Date(DAY_FORMAT.test(text) ? text + "T00:00:00.000Z" : text);
+      if (isNaN(date.getTime())) {
+         return { error: `${key} must be a date, such as 2024-05-02 or 2024-05-02T09:30:00Z` };
+      }
+      value[key] = date;
+   }
+   if (value.after && value.before && (value.after >= value.before)) {
+      return { error: "after must be earlier than before" };
+   }
+   return { value: value };
+}
+
+
+// Resolves personIds to display names, each person is looked up once
+//   - falls back to the email address of the message when the person cannot be read (ex: left the organization)
+function peopleLookup(client) {
+   const names = new Map();
+
+   return function name(message, callback) {
+      if (names.has(message.personId)) {
+         return callback(names.get(message.personId));
+      }
+      client.get("/people/" + encodeURIComponent(message.personId), function (err, person) {
+         let displayName = person && person.displayName;
+         if (err || !displayName) {
+            debug(`could not read person ${message.personId}, status: ${err ? err.status : "none"}`);
+            displayName = message.personEmail || message.personId;
+         }
+         names.set(message.personId, displayName);
+         callback(displayName);
+      });
+   };
+}
+
+// Describes an attached file: { url, name, contentType, size }, name, contentType and size are null if unknown
+function fileInfo(client, url, callback) {
+   const info = { url: url, name: null, contentType: null, size: null };
+
+   let target = null;
+   try {
+      target = new URL(url);
+   }
+   catch (err) {
+      return callback(info);
+   }
+   const sameOrigin = target.origin == new URL(client.baseURL).origin;
+   if (!sameOrigin && ((target.protocol != "https:") || !WEBEX_FILE_HOSTS.test(target.hostname))) {
+      info.name = target.pathname.split("/").pop() || null;
+      return callback(info);
+   }
+
+   client.request({ method: "HEAD", path: url }, function (err, body, response) {
+      if (err) {
+         debug(`could not read file details, status: ${err.status}, trackingId: ${err.trackingId}`);
+         return callback(info);
+      }
+      const disposition = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(response.headers["content-disposition"] || "");
+      if (disposition) {
+         try {
+            info.name = decodeURIComponent(disposition[1]);
+         }
+         catch (err) {
+            info.name = disposition[1];
+         }
+      }
+      info.contentType = response.headers["content-type"] || null;
+      info.size = parseInt(response.headers["content-length"]);
+      if (isNaN(info.size)) {
+         info.size = null;
+      }
+      callback(info);
+   });
+}
+
+
+//
+// Formats: header(transcript), message(entry) and footer(summary) return the text to write
+//
+
+function humanSize(bytes) {
+   if (bytes === null) {
+      return "unknown size";
+   }
+   const units = ["bytes", "KB", "MB", "GB"];
+   let unit = 0;
+   while ((bytes >= 1024) && (unit < units.length - 1)) {
+      bytes /= 1024;
+      unit++;
+   }
+   return (unit == 0 ? bytes : bytes.toFixed(1)) + " " + units[unit];
+}
+
+// range: { after, before } as ISO strings or null
+function describeRange(range) {
+   if (range.after && range.before) {
+      return `from ${range.after} to ${range.before}`;
+   }
+   if (range.after) {
+      return `since ${range.after}`;
+   }
+   if (range.before) {
+      return `until ${range.before}`;
+   }
+   return "all messages";
+}
+
+const FORMATS = {
+   md: {
+      contentType: "text/markdown; charset=utf-8",
+      header: function (transcript) {
+         return `# ${transcript.space.title}\n\n`
+            + `- Space: ${transcript.space.id}\n`
+            + `- Range: ${describeRange(transcript.range)}\n`
+            + `- Exported: ${transcript.exportedAt}, newest messages first\n\n`;
+      },
+      message: function (entry) {
+         let text = `---\n\n**${entry.displayName}** (${entry.created})\n\n`;
+         const content = entry.markdown || entry.text;
+         if (content) {
+            text += content + "\n\n";
+         }
+         entry.files.forEach(function (file) {
+            text += `- Attachment: [${file.name || file.url}](${file.url}) (${file.contentType || "unknown type"}, ${humanSize(file.size)})\n`;
+         });
+         return entry.files.length ? text + "\n" : text;
+      },
+      footer: function (summary) {
+         const note = summary.error ? `Export interrupted after ${summary.count} message(s): ${summary.error}` : `${summary.count} message(s)`;
+         return `---\n\n_${note}_\n`;
+      }
+   },
+
+   // A single JSON document, written as the messages come
+   json: {
+      contentType: "application/json; charset=utf-8",
+      header: function (transcript) {
+         return "{"
+            + `"space":${JSON.stringify(transcript.space)},`
+            + `"range":${JSON.stringify(transcript.range)},`
+            + `"exportedAt":${JSON.stringify(transcript.exportedAt)},`
+            + "\"messages\":[";
+      },
+      message: function (entry, index) {
+         return (index > 0 ? "," : "") + "\n" + JSON.stringify(entry);
+      },
+      footer: function (summary) {
+         return `\n],"count":${summary.count},"error":${JSON.stringify(summary.error || null)}}\n`;
+      }
+   },
+
+   // The template renders each part of the page, and escapes all values
+   html: {
+      contentType: "text/html; charset=utf-8",
+      header: function (transcript) {
+         return htmlTemplate({ part: "header", transcript: transcript, describeRange: describeRange });
+      },
+      message: function (entry) {
+         return htmlTemplate({ part: "message", entry: entry, humanSize: humanSize });
+      },
+      footer: function (summary) {
+         return htmlTemplate({ part: "footer", summary: summary });
+      }
+   }
+};
+
+
+// Name of the downloaded file, ex: transcript-project-kickoff.md
+function fileName(title, format) {
+   const slug = String(title || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").substring(0, 60);
+   return `transcript-${slug || "space"}.${format}`;
+}
+
+
+// Streams the transcript of a space to an HTTP response
+//   - client: Webex API client, see ./webex-client.js
+//   - options.format: 'md', 'json' or 'html'
+//   - options.range: [optional] { after, before }, see range()
+//   - callback(err, summary): summary is { count, error }, err is a WebexError, res.headersSent tells if the download started
+function stream(client, roomId, options, res, callback) {
+   const format = FORMATS[options.format];
+   const range = options.range || { after: null, before: null };
+   const name = peopleLookup(client);
+   let count = 0;
+   let closed = false;
+   let draining = null; // continuation waiting for the response to drain
+
+   // Stop reading from Webex if the user cancels the download
+   res.on("close", function () {
+      closed = true;
+      if (draining) {
+         draining = null;
+         finish();
+      }
+   });
+
+   // Writes to the response, and waits for it to drain before going on
+   function write(text, next) {
+      if (closed) {
+         return finish();
+      }
+      if (res.write(text)) {
+         return next();
+      }
+      draining = next;
+      res.once("drain", function () {
+         if (draining) {
+            draining = null;
+            next();
+         }
+      });
+   }
+
+   function finish(err) {
+      if (closed) {
+         debug(`download cancelled after ${count} message(s)`);
+         return callback(err || null, { count: count, error: "cancelled" });
+      }
+      const summary = { count: count, error: err ? err.message : null };
+      res.end(format.footer(summary));
+      callback(err || null, summary);
+   }
+
+   // Converts a Webex message to a transcript entry
+   function entryOf(message, callback) {
+      name(message, function (displayName) {
+         const files = [];
+         (message.files || []).reduceRight(function (next, url) {
+            return function () {
+               fileInfo(client, url, function (info) {
+                  files.push(info);
+                  next();
+               });
+            };
+         }, function () {
+            callback({
+               id: message.id,
+               parentId: message.parentId || null,
+               created: message.created,
+               personId: message.personId,
+               personEmail: message.personEmail || null,
+               displayName: displayName,
+               text: message.text || null,
+               markdown: message.markdown || null,
+               files: files
+            });
+         })();
+      });
+   }
+
+   // Writes the messages of a page one after the other, then invokes done(reachedStart)
+   function writePage(items, done) {
+      let index = 0;
+      (function nextMessage() {
+         if (index >= items.length) {
+            return done(false);
+         }
+         const message = items[index++];
+         if (range.after && (new Date(message.created) < range.after)) {
+            return done(true); // older messages are out of range
+         }
+         entryOf(message, function (entry) {
+            write(format.message(entry, count), function () {
+               count++;
+               nextMessage();
+            });
+         });
+      })();
+   }
+
+   function readPage(qs, callback) {
+      client.get("/messages", Object.assign({ roomId: roomId, max: PAGE_SIZE }, qs), function (err, body) {
+         callback(err, (body && Array.isArray(body.items)) ? body.items : []);
+      });
+   }
+
+   function nextPages(items) {
+      writePage(items, function (reachedStart) {
+         if (reachedStart || (items.length < PAGE_SIZE) || closed) {
+            return finish();
+         }
+         readPage({ beforeMessage: items[items.length - 1].id }, function (err, items) {
+            if (err) {
+               debug(`could not read messages, status: ${err.status}, trackingId: ${err.trackingId}`);
+               return finish(err);
+            }
+            nextPages(items);
+         });
+      });
+   }
+
+   // The space and its first page of messages are read before the download starts
+   client.get("/rooms/" + encodeURIComponent(roomId), function (err, room) {
+      if (err) {
+         return callback(err);
+      }
+      readPage(range.before ? { before: range.before.toISOString() } : {}, function (err, items) {
+         if (err) {
+            return callback(err);
+         }
+
+         const transcript = {
+            space: { id: roomId, title: (room && room.title) || roomId, type: (room && room.type) || null },
+            range: { after: range.after && range.after.toISOString(), before: range.before && range.before.toISOString() },
+            exportedAt: new Date().toISOString()
+         };
+         res.attachment(fileName(transcript.space.title, options.format));
+         res.set("Content-Type", format.contentType);
+         res.set("Cache-Control", "no-store");
+         write(format.header(transcript), function () {
+            nextPages(items);
+         });
+      });
+   });
+}
+
+
+module.exports.SCOPES = SCOPES;
+module.exports.FORMATS = Object.keys(FORMATS);
+module.exports.PAGE_SIZE = PAGE_SIZE;
+module.exports.range = range;
+module.exports.stream = stream;
+module.exports.fileName = fileName;
@@ -0,0 +1,130 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Safe parsing of the responses returned by Webex.
+ *
+ * Upstream bodies are never trusted: an HTML error page from a proxy, an empty body or an unexpected payload
+ * is reported as an error instead of throwing.
+ *
+ * Usage:
+ *    const result = validate.tokenResponse(body);
+ *    if (result.error) { ... }
+ *    const tokens = result.value;
+ *
+ */
+
+// Expected types of the properties of each payload, '?' marks optional properties
+const schemas = {
+   // https://developer.webex.com/authentication.html
+   tokenResponse: {
+      access_token: "string",
+      expires_in: "number",
+      refresh_token: "string",
+      refresh_token_expires_in: "number",
+      scope: "string?"
+   },
+
+   // https://developer.webex.com/docs/api/v1/people/get-my-own-details
+   person: {
+      id: "string",
+      displayName: "string",
+      emails: "string[]",
+      orgId: "string?",
+      avatar: "string?"
+   },
+
+   // Error payload, ex: { "message": "...", "errors": [...], "trackingId": "..." }
+   errorResponse: {
+      message: "string",
+      trackingId: "string?"
+   }
+};
+
+
+// Parses a JSON body, returns { value } or { error }
+function parse(body) {
+   if ((body === undefined) || (body === null) || (body === "")) {
+      return { error: "empty body" };
+   }
+   if (typeof body == "object") {
+      return { value: body };
+   }
+   try {
+      return { value: JSON.parse(body) };
+   }
+   catch (err) {
+      return { error: "body is not JSON, starts with: " + String(body).substring(0, 40).replace(/\s+/g, " ") };
+   }
+}
+
+
+function matches(type, value) {
+   switch (type) {
+      case "string":
+         return (typeof value == "string") && (value.length > 0);
+      case "number":
+         return (typeof value == "number") && isFinite(value) && (value > 0);
+      case "string[]":
+         return Array.isArray(value) && (value.length > 0) && value.every(function (item) {
+            return typeof item == "string";
+         });
+      default:
+         return false;
+   }
+}
+
+// Checks a value against a schema, returns the list of violations
+function check(schema, value) {
+   if (!value || (typeof value != "object") || Array.isArray(value)) {
+      return ["payload is not a JSON object"];
+   }
+
+   const violations = [];
+   Object.keys(schema).forEach(function (property) {
+      const optional = schema[property].endsWith("?");
+      const type = schema[property].replace(/\?$/, "");
+      if ((value[property] === undefined) || (value[property] === null)) {
+         if (!optional) {
+            violations.push(`missing property: ${property}`);
+         }
+         return;
+      }
+      if (!matches(type, value[property])) {
+         violations.push(`property ${property} is not a valid ${type}`);
+      }
+   });
+   return violations;
+}
+
+
+// Parses a body and checks it against a schema, returns { value } or { error }
+function parseAndCheck(schema, body) {
+   const parsed = parse(body);
+   if (parsed.error) {
+      return parsed;
+   }
+   const violations = check(schema, parsed.value);
+   if (violations.length > 0) {
+      return { error: violations.join(", ") };
+   }
+   return parsed;
+}
+
+
+module.exports = {
+   schemas: schemas,
+   parse: parse,
+   check: check,
+   tokenResponse: function (body) {
+      return parseAndCheck(schemas.tokenResponse, body);
+   },
+   person: function (body) {
+      return parseAndCheck(schemas.person, body);
+   },
+   errorResponse: function (body) {
+      return parseAndCheck(schemas.errorResponse, body);
+   }
+};
@@ -0,0 +1,201 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Authenticated client for the Webex REST API.
+ *
+ *    - the API base URL is configurable: https://api.ciscospark.com/v1 (default), https://webexapis.com/v1 or a local mock
+ *    - on a 401, the access token is refreshed once (if a refresh function is provided), and the call is retried
+ *    - on a 429, the call is retried after the delay advertised in the Retry-After header
+ *    - failures are reported as WebexError instances, carrying the HTTP status, the Webex trackingId and the error message
+ *
+ * Usage:
+ *    const client = webexClient({ token: access_token });
+ *    client.get("/people/me", function (err, person) { ... });
+ *    client.list("/rooms", { type: "group" }, function (err, rooms) { ... });
+ *
+ */
+
+const request = require("request");
+const validate = require("./validate");
+const debug = require("debug")("oauth:api");
+
+const DEFAULT_BASE_URL = "https://api.ciscospark.com/v1";
+
+const DEFAULTS = {
+   baseURL: process.env.WEBEX_API_URL || DEFAULT_BASE_URL,
+   maxRateLimitRetries: 2,
+   maxRetryAfter: 60 // in seconds, longer waits are reported as errors
+};
+
+
+class WebexError extends Error {
+   // status is null if Webex could not be reached
+   constructor(message, status, trackingId, body) {
+      super(message);
+      this.name = "WebexError";
+      this.status = status;
+      this.trackingId = trackingId || null;
+      this.body = body || null;
+   }
+}
+
+
+// Creates a client
+//   - options.token: the access token to use
+//   - options.refresh: [optional] function (callback(err, accessToken)), invoked on a 401 to get a fresh access token
+//   - options.baseURL: [optional] defaults to the WEBEX_API_URL variable, or https://api.ciscospark.com/v1
+//   - options.observe: [optional] function (method, path, status, seconds), invoked after each HTTP exchange, status is null if Webex could not be reached
+function webexClient(options) {
+   const settings = Object.assign({}, DEFAULTS, options);
+   const baseURL = settings.baseURL.replace(/\/+$/, "");
+   let token = settings.token;
+
+   // Sends a request, and invokes callback(err, body, response)
+   //   - spec: { method, path, qs, body }, path is relative to the base URL, or an absolute URL (ex: pagination links)
+   function send(spec, callback) {
+      let refreshed = false;
+      let rateLimited = 0;
+
+      function attempt() {
+         const options = {
+            method: spec.method || "GET",
+            url: /^https?:\/\//.test(spec.path) ? spec.path : baseURL + spec.path,
+            qs: spec.qs,
+            headers: {
+               "authorization": "Bearer " + token
+            }
+         };
+         if (spec.body) {
+            options.json = true;
+            options.body = spec.body;
+         }
+
+         const started = Date.now();
+         request(options, function (error, response, body) {
+            if (settings.observe) {
+               settings.observe(options.method, spec.path, error ? null : response.statusCode, (Date.now() - started) / 1000);
+            }
+            if (error) {
+               debug(`${options.method} ${spec.path}: could not reach Webex API, error: ${error.message}`);
+               return callback(new WebexError("could not reach Webex API: " + error.message, null));
+            }
+
+            const trackingId = response.headers["trackingid"];
+            debug(`${options.method} ${spec.path}: ${response.statusCode} in ${Date.now() - started}ms, trackingId: ${trackingId}`);
+
+            // Bodies are JSON, except for 204 No Content, and error pages from proxies
+            const payload = validate.parse(body).value || null;
+
+            if ((response.statusCode == 401) && settings.refresh && !refreshed) {
+               refreshed = true;
+               debug("access token rejected, refreshing and retrying");
+               return settings.refresh(function (err, accessToken) {
+                  if (err || !accessToken) {
+                     return callback(new WebexError("access token rejected, and could not be refreshed", 401, trackingId, payload));
+                  }
+                  token = accessToken;
+                  attempt();
+               });
+            }
+
+            if ((response.statusCode == 429) && (rateLimited < settings.maxRateLimitRetries)) {
+               const retryAfter = parseInt(response.headers["retry-after"]) || 1;
+               if (retryAfter <= settings.maxRetryAfter) {
+                  rateLimited++;
+                  debug(`rate limited, retrying in ${retryAfter}s`);
+                  return setTimeout(attempt, retryAfter * 1000);
+               }
+            }
+
+            if ((response.statusCode < 200) || (response.statusCode >= 300)) {
+               const message = (payload && payload.message) || ("Webex API responded with status code: " + response.statusCode);
+               const err = new WebexError(message, response.statusCode, (payload && payload.trackingId) || trackingId, payload);
+               if (response.statusCode == 429) {
+                  err.retryAfter = parseInt(response.headers["retry-after"]) || null;
+               }
+               return callback(err);
+            }
+
+            callback(null, payload, response);
+         });
+      }
+      attempt();
+   }
+
+   // Lists the items of a resource, following the 'Link: <...>; rel="next"' pagination headers
+   //   - max: [optional] stops after this number of items
+   //   - callback(err, items)
+   function list(path, qs, max, callback) {
+      if (typeof max == "function") {
+         callback = max;
+         max = Infinity;
+      }
+      let items = [];
+
+      function page(spec) {
+         send(spec, function (err, body, response) {
+            if (err) {
+               return callback(err);
+            }
+            items = items.concat((body && body.items) || []);
+            // Only follow links to the API origin, so that the access token never leaks to another host
+            const next = nextLink(response.headers["link"]);
+            if (next && (new URL(next).origin != new URL(baseURL).origin)) {
+               debug("ignoring pagination link to another origin: " + next);
+               return callback(null, items.slice(0, max));
+            }
+            if (next && (items.length < max)) {
+               return page({ method: "GET", path: next });
+            }
+            callback(null, items.slice(0, max));
+         });
+      }
+      page({ method: "GET", path: path, qs: qs });
+   }
+
+   return {
+      baseURL: baseURL,
+      request: send,
+      list: list,
+      get: function (path, qs, callback) {
+         if (typeof qs == "function") {
+            callback = qs;
+            qs = undefined;
+         }
+         send({ method: "GET", path: path, qs: qs }, callback);
+      },
+      post: function (path, body, callback) {
+         send({ method: "POST", path: path, body: body }, callback);
+      },
+      put: function (path, body, callback) {
+         send({ method: "PUT", path: path, body: body }, callback);
+      },
+      delete: function (path, callback) {
+         send({ method: "DELETE", path: path }, callback);
+      }
+   };
+}
+
+// Extracts the URL of the next page from a Link header, ex: <https://api.ciscospark.com/v1/rooms?cursor=...>; rel="next"
+function nextLink(header) {
+   if (!header) {
+      return null;
+   }
+   const links = header.split(",");
+   for (let i = 0; i < links.length; i++) {
+      const match = links[i].match(/<([^>]+)>\s*;\s*rel="?next"?/);
+      if (match) {
+         return match[1];
+      }
+   }
+   return null;
+}
+
+
+module.exports = webexClient;
+module.exports.WebexError = WebexError;
+module.exports.DEFAULT_BASE_URL = DEFAULT_BASE_URL;
+module.exports.nextLink = nextLink;
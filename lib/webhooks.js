@@ -0,0 +1,248 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Webex webhooks, registered on behalf of the users who authorized the integration.
+ *
+ *    - for each grant, a webhook is created per resource (messages, memberships, rooms), each with its own random secret
+ *    - registrations are kept with the grant in the token store: record.webhooks = [ { id, resource, event, secret } ]
+ *    - Webex signs notifications with the secret (HMAC-SHA1 of the raw body, in the X-Spark-Signature header):
+ *      notifications which signature does not match are rejected
+ *    - verified notifications are dispatched to the handlers registered via on(resource, event, handler)
+ *
+ * Usage:
+ *    const hooks = webhooks(store, { targetUrl: "https://example.com/webhooks/webex", resources: ["messages"] });
+ *    app.post("/webhooks/webex", hooks.receiver());
+ *    hooks.on("messages", "created", function (notification, record) { ... });
+ *
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const scopes = require("./scopes");
+const validate = require("./validate");
+const debug = require("debug")("oauth:webhooks");
+
+const SIGNATURE_HEADER = "x-spark-signature";
+
+// Scope required to be notified about a resource
+const RESOURCE_SCOPES = {
+   messages: "spark:messages_read",
+   memberships: "spark:memberships_read",
+   rooms: "spark:rooms_read"
+};
+
+// Name of the webhooks created by the integration
+const NAME_PREFIX = "integration:";
+
+
+// HMAC-SHA1 signature of a notification's raw body
+function sign(secret, rawBody) {
+   return crypto.createHmac("sha1", secret).update(rawBody).digest("hex");
+}
+
+function verify(secret, rawBody, signature) {
+   if (typeof signature != "string") {
+      return false;
+   }
+   const expected = Buffer.from(sign(secret, rawBody), "utf8");
+   const actual = Buffer.from(signature.toLowerCase(), "utf8");
+   return (expected.length == actual.length) && crypto.timingSafeEqual(expected, actual);
+}
+
+
+// Creates the webhook subsystem
+//   - store: the token store, see ./token-store
+//   - options.targetUrl: public URL of the receiver
+//   - options.resources: resources to be notified about, among 'messages', 'memberships' and 'rooms'
+function webhooks(store, options) {
+   const resources = options.resources.filter(function (resource) {
+      if (!RESOURCE_SCOPES[resource]) {
+         debug("ignoring unsupported webhook resource: " + resource);
+         return false;
+      }
+      return true;
+   });
+   const handlers = [];
+
+   // Updates the registrations of a grant, callback(err, record)
+   function save(personId, registrations, callback) {
+      store.get(personId, function (err, current) {
+         if (err || !current) {
+            return callback(err || new Error("no grant found for person"));
+         }
+         const updated = Object.assign({}, current, { webhooks: registrations, updated: new Date().toISOString() });
+         if (registrations.length == 0) {
+            delete updated.webhooks;
+         }
+         store.put(updated, function (err) {
+            callback(err, updated);
+         });
+      });
+   }
+
+   // Deletes webhooks from Webex, ignoring the ones already gone
+   function deleteAll(client, ids, callback) {
+      let remaining = ids.length;
+      let failure = null;
+      if (remaining == 0) {
+         return callback(null);
+      }
+      ids.forEach(function (id) {
+         client.delete("/webhooks/" + encodeURIComponent(id), function (err) {
+            if (err && (err.status != 404)) {
+               debug(`could not delete webhook, status: ${err.status}, trackingId: ${err.trackingId}`);
+               failure = err;
+            }
+            remaining--;
+            if (remaining == 0) {
+               callback(failure);
+            }
+         });
+      });
+   }
+
+   // Registers the webhooks of a grant, replacing the ones previously created by the integration
+   //   - client: Webex API client acting on behalf of the grant
+   //   - only resources covered by the scopes of the grant are registered
+   //   - callback(err, record)
+   function register(client, record, callback) {
+      callback = callback || function () { };
+      const wanted = resources.filter(function (resource) {
+         return scopes.missing(record.scopes, [RESOURCE_SCOPES[resource]]).length == 0;
+      });
+
+      // Webhooks left over from a previous registration cannot be verified anymore if their secret was lost
+      client.list("/webhooks", {}, function (err, existing) {
+         if (err) {
+            return callback(err);
+         }
+         const stale = existing.filter(function (webhook) {
+            return (webhook.targetUrl == options.targetUrl) && (webhook.name || "").startsWith(NAME_PREFIX);
+         }).map(function (webhook) {
+            return webhook.id;
+         });
+
+         deleteAll(client, stale, function () {
+            const registrations = [];
+            let remaining = wanted.length;
+            let failure = null;
+            if (remaining == 0) {
+               return save(record.personId, registrations, callback);
+            }
+            wanted.forEach(function (resource) {
+               const secret = crypto.randomBytes(32).toString("hex");
+               const webhook = {
+                  name: NAME_PREFIX + resource,
+                  targetUrl: options.targetUrl,
+                  resource: resource,
+                  event: "all",
+                  secret: secret
+               };
+               client.post("/webhooks", webhook, function (err, created) {
+                  if (err) {
+                     debug(`could not create webhook for ${resource}, status: ${err.status}, trackingId: ${err.trackingId}`);
+                     failure = err;
+                  }
+                  else {
+                     registrations.push({ id: created.id, resource: resource, event: "all", secret: secret });
+                  }
+                  remaining--;
+                  if (remaining > 0) {
+                     return;
+                  }
+                  debug(`registered ${registrations.length} webhook(s) for ${record.displayName}`);
+                  save(record.personId, registrations, function (err, updated) {
+                     callback(failure || err, updated);
+                  });
+               });
+            });
+         });
+      });
+   }
+
+   // Deletes the webhooks of a grant from Webex, callback(err)
+   //   - to be invoked while the access token is still valid, ie before the grant gets revoked
+   function unregister(client, record, callback) {
+      callback = callback || function () { };
+      const ids = (record.webhooks || []).map(function (registration) {
+         return registration.id;
+      });
+      deleteAll(client, ids, function (err) {
+         debug(`unregistered ${ids.length} webhook(s) for ${record.displayName}`);
+         callback(err);
+      });
+   }
+
+   // Registers a handler for notifications, resource and event can be '*'
+   //   - handler(notification, record): record is the grant of the person who created the webhook
+   function on(resource, event, handler) {
+      handlers.push({ resource: resource, event: event, handler: handler });
+   }
+
+   function dispatch(notification, record) {
+      handlers.forEach(function (entry) {
+         if (((entry.resource == "*") || (entry.resource == notification.resource))
+            && ((entry.event == "*") || (entry.event == notification.event))) {
+            try {
+               entry.handler(notification, record);
+            }
+            catch (err) {
+               debug("webhook handler failed, err: " + err.message);
+            }
+         }
+      });
+   }
+
+   // Express handlers for the receiver route
+   //   - answers 401 if the signature does not match the secret of the webhook
+   //   - answers 200 as soon as the notification is verified, handlers run afterwards
+   function receiver() {
+      return [express.raw({ type: "*/*", limit: "1mb" }), function (req, res) {
+         const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+         const parsed = validate.parse(rawBody.toString("utf8"));
+         const notification = parsed.value;
+         if (!notification || (typeof notification != "object") || !notification.id || !notification.createdBy) {
+            debug("rejecting malformed webhook notification");
+            return res.status(400).json({ message: "malformed notification" });
+         }
+
+         store.get(notification.createdBy, function (err, record) {
+            if (err) {
+               debug("could not load grant, err: " + err.message);
+               return res.status(503).json({ message: "temporarily unavailable" });
+            }
+            const registration = record && (record.webhooks || []).find(function (registration) {
+               return registration.id == notification.id;
+            });
+            if (!registration || !verify(registration.secret, rawBody, req.get(SIGNATURE_HEADER))) {
+               debug("rejecting webhook notification with an unknown webhook or a bad signature");
+               return res.status(401).json({ message: "signature mismatch" });
+            }
+
+            res.status(200).json({ message: "ok" });
+            if (record.status) {
+               debug("ignoring notification for a grant which needs re-consent");
+               return;
+            }
+            dispatch(notification, record);
+         });
+      }];
+   }
+
+   return {
+      resources: resources,
+      register: register,
+      unregister: unregister,
+      on: on,
+      receiver: receiver
+   };
+}
+
+
+module.exports = webhooks;
+module.exports.sign = sign;
+module.exports.verify = verify;
+module.exports.RESOURCE_SCOPES = RESOURCE_SCOPES;
@@ -0,0 +1,548 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Offline stand-in for the Webex identity and API services, for local development and tests.
+ *
+ * Implements:
+ *    GET  /v1/authorize          : consent page, where the user accepts or declines
+ *    POST /v1/access_token       : authorization_code (with PKCE) and refresh_token grants
+ *    GET  /v1/people/me, GET /v1/people/:id
+ *    GET  /v1/rooms              : paginated via Link headers, GET /v1/rooms/:id
+ *    GET  /v1/memberships, POST /v1/memberships
+ *    GET  /v1/messages, POST /v1/messages, DELETE /v1/messages/:id
+ *    HEAD /v1/contents/:id       : details of the files registered in state.contents
+ *    GET  /v1/authorizations, DELETE /v1/authorizations/:id
+ *
+ * Errors can be injected, for the next N calls to an endpoint (optionally after M successful calls):
+ *    - authorize: 'access_denied', 'invalid_scope', 'server_error' or any other OAuth error code, sent back to the redirect URI
+ *    - access_token, people/me, people, rooms, memberships, messages, contents: an HTTP status (400, 401, 429, 500...),
+ *      'invalid_json' (unparsable body), 'invalid_payload' (JSON missing mandatory properties) or 'network' (connection reset)
+ *
+ * From code:
+ *    const mock = mockWebex({ clients: { "C123...": "secret" } });
+ *    mock.listen(9090, ...);
+ *    mock.inject("access_token", 401);
+ *
+ * From the command line: MOCK_PORT=9090 node mock/webex-server.js, then point the integration to it with
+ * WEBEX_API_URL=http://localhost:9090/v1. Errors can be injected over HTTP:
+ *    curl -X POST localhost:9090/_mock/errors -H "content-type: application/json" -d '{ "endpoint": "people/me", "error": 429, "times": 2 }'
+ *
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const debug = require("debug")("mock:webex");
+
+const ACCESS_TOKEN_TTL = 14 * 24 * 3600; // in seconds
+const REFRESH_TOKEN_TTL = 90 * 24 * 3600;
+
+const DEFAULT_PEOPLE = [
+   { id: "mock-person-1", displayName: "Mock User", emails: ["mock.user@example.com"], orgId: "mock-org-1" },
+   { id: "mock-person-2", displayName: "Other User", emails: ["other.user@example.org"], orgId: "mock-org-2" }
+];
+
+const DEFAULT_ROOMS = [
+   { id: "mock-room-1", title: "Mock Space", type: "group" },
+   { id: "mock-room-2", title: "Mock 1:1", type: "direct" },
+   { id: "mock-room-3", title: "Another Space", type: "group" }
+];
+
+
+function random() {
+   return crypto.randomBytes(24).toString("hex");
+}
+
+function escapeHTML(text) {
+   return String(text).replace(/[&<>"']/g, function (c) {
+      return "&#" + c.charCodeAt(0) + ";";
+   });
+}
+
+
+// Creates the mock server, an Express app extended with:
+//   - inject(endpoint, error, times, skip): fails the next 'times' (default 1) calls to the endpoint, after 'skip' (default 0) successful calls
+//   - reset(): clears injected errors, issued codes and tokens
+//   - state: { codes, accessTokens, refreshTokens, memberships, messages, contents }
+//
+//   - options.clients: [optional] client id -> client secret, any client is accepted if not specified
+//   - options.people: [optional] the users who can log in, see DEFAULT_PEOPLE
+//   - options.rooms: [optional] the spaces all users are a member of, see DEFAULT_ROOMS
+//   - options.retryAfter: [optional] value of the Retry-After header on 429, in seconds, defaults to 1
+module.exports = function mockWebex(options) {
+   options = options || {};
+   const people = options.people || DEFAULT_PEOPLE;
+   const rooms = options.rooms || DEFAULT_ROOMS;
+   const app = express();
+
+   let errors = {};
+   const state = {};
+
+   function reset() {
+      errors = {};
+      state.codes = {};
+      state.accessTokens = {};
+      state.refreshTokens = {};
+      state.memberships = [];
+      state.messages = []; // oldest first
+      state.contents = {}; // file id -> { name, contentType, size }
+      people.forEach(function (person) {
+         rooms.forEach(function (room) {
+            state.memberships.push({ id: "mock-membership-" + random(), roomId: room.id, personId: person.id, personEmail: person.emails[0], isModerator: false });
+         });
+      });
+   }
+   reset();
+
+   function inject(endpoint, error, times, skip) {
+      errors[endpoint] = { error: error, times: times || 1, skip: skip || 0 };
+      debug(`injecting ${error} on ${times || 1} call(s) to ${endpoint}, after ${skip || 0} successful call(s)`);
+   }
+
+   // Returns the error to inject for the endpoint, if any
+   function injected(endpoint) {
+      const entry = errors[endpoint];
+      if (!entry) {
+         return null;
+      }
+      if (entry.skip > 0) {
+         entry.skip--;
+         return null;
+      }
+      entry.times--;
+      if (entry.times <= 0) {
+         delete errors[endpoint];
+      }
+      return entry.error;
+   }
+
+   // Sends an injected API error, returns false if the error is not an API error
+   function sendInjected(res, error) {
+      const trackingId = "MOCK_" + random();
+      if (error == "network") {
+         res.socket.destroy();
+         return true;
+      }
+      if (error == "invalid_json") {
+         res.status(200).type("text/html").send("<html><body>Gateway</body></html>");
+         return true;
+      }
+      if (error == "invalid_payload") {
+         res.status(200).json({ unexpected: true });
+         return true;
+      }
+      const status = parseInt(error);
+      if (!status) {
+         return false;
+      }
+      if (status == 429) {
+         res.set("Retry-After", String(options.retryAfter || 1));
+      }
+      res.set("TrackingID", trackingId).status(status).json({ message: "Mock error with status " + status, trackingId: trackingId });
+      return true;
+   }
+
+   function apiError(res, status, message) {
+      const trackingId = "MOCK_" + random();
+      res.set("TrackingID", trackingId).status(status).json({ message: message, trackingId: trackingId });
+   }
+
+   function clientAllowed(clientId, clientSecret) {
+      if (!options.clients) {
+         return !!clientId;
+      }
+      return options.clients[clientId] && (options.clients[clientId] == clientSecret);
+   }
+
+   function issueTokens(personId, clientId, scopes, refreshToken) {
+      const accessToken = random();
+      state.accessTokens[accessToken] = { personId: personId, clientId: clientId, scopes: scopes, expiresAt: Date.now() + ACCESS_TOKEN_TTL * 1000 };
+      if (!refreshToken) {
+         refreshToken = random();
+         state.refreshTokens[refreshToken] = { personId: personId, clientId: clientId, scopes: scopes, expiresAt: Date.now() + REFRESH_TOKEN_TTL * 1000 };
+      }
+      return {
+         access_token: accessToken,
+         expires_in: ACCESS_TOKEN_TTL,
+         refresh_token: refreshToken,
+         refresh_token_expires_in: Math.round((state.refreshTokens[refreshToken].expiresAt - Date.now()) / 1000)
+      };
+   }
+
+   // Injected errors, over HTTP
+   app.post("/_mock/errors", express.json(), function (req, res) {
+      if (!req.body || !req.body.endpoint || !req.body.error) {
+         return res.status(400).json({ message: "expecting { endpoint, error, [times], [skip] }" });
+      }
+      inject(req.body.endpoint, req.body.error, parseInt(req.body.times) || 1, parseInt(req.body.skip) || 0);
+      res.status(204).end();
+   });
+   app.delete("/_mock/errors", function (req, res) {
+      errors = {};
+      res.status(204).end();
+   });
+
+
+   //
+   // Identity
+   //
+   app.get("/v1/authorize", function (req, res) {
+      const q = req.query;
+      if ((q.response_type != "code") || !q.client_id || !q.redirect_uri || !q.scope) {
+         return res.status(400).send("Mock Webex: expecting response_type=code, client_id, redirect_uri and scope");
+      }
+      if (options.clients && !options.clients[q.client_id]) {
+         return res.status(400).send("Mock Webex: unknown client_id");
+      }
+
+      const error = injected("authorize");
+      if (error) {
+         const url = new URL(q.redirect_uri);
+         url.searchParams.set("error", error);
+         url.searchParams.set("error_description", "Mock error: " + error);
+         if (q.state) {
+            url.searchParams.set("state", q.state);
+         }
+         return res.redirect(url.toString());
+      }
+
+      const hidden = ["client_id", "redirect_uri", "scope", "state", "code_challenge", "code_challenge_method"].map(function (name) {
+         return (q[name] === undefined) ? "" : `<input type="hidden" name="${name}" value="${escapeHTML(q[name])}">`;
+      }).join("\n");
+      const choices = people.map(function (person) {
+         return `<option value="${escapeHTML(person.id)}">${escapeHTML(person.displayName)} (${escapeHTML(person.emails[0])})</option>`;
+      }).join("\n");
+      res.send(`<!DOCTYPE html>
+<html>
+<head><title>Mock Webex: authorize</title><meta charset="utf-8"></head>
+<body>
+  <h1>Mock Webex</h1>
+  <p>An integration asks for: ${escapeHTML(q.scope)}</p>
+  <form method="post" action="/v1/authorize">
+    ${hidden}
+    <select name="personId">${choices}</select>
+    <button type="submit" name="decision" value="accept">Accept</button>
+    <button type="submit" name="decision" value="decline">Decline</button>
+  </form>
+</body>
+</html>`);
+   });
+
+   app.post("/v1/authorize", express.urlencoded({ extended: false }), function (req, res) {
+      const form = req.body;
+      const url = new URL(form.redirect_uri);
+      if (form.state) {
+         url.searchParams.set("state", form.state);
+      }
+
+      if (form.decision != "accept") {
+         url.searchParams.set("error", "access_denied");
+         return res.redirect(url.toString());
+      }
+
+      const person = people.find(function (person) {
+         return person.id == form.personId;
+      }) || people[0];
+      const code = random();
+      state.codes[code] = {
+         clientId: form.client_id,
+         redirectURI: form.redirect_uri,
+         scopes: form.scope,
+         personId: person.id,
+         codeChallenge: form.code_challenge || null,
+         codeChallengeMethod: form.code_challenge_method || "plain",
+         expiresAt: Date.now() + 5 * 60 * 1000
+      };
+      url.searchParams.set("code", code);
+      res.redirect(url.toString());
+   });
+
+   app.post("/v1/access_token", express.urlencoded({ extended: false }), function (req, res) {
+      const error = injected("access_token");
+      if (error && sendInjected(res, error)) {
+         return;
+      }
+
+      const form = req.body;
+      if (!clientAllowed(form.client_id, form.client_secret)) {
+         return apiError(res, 401, "Invalid client credentials");
+      }
+
+      if (form.grant_type == "authorization_code") {
+         const grant = state.codes[form.code];
+         delete state.codes[form.code]; // codes can only be used once
+         if (!grant || (grant.expiresAt < Date.now()) || (grant.clientId != form.client_id)) {
+            return apiError(res, 400, "Invalid authorization code");
+         }
+         if (grant.redirectURI != form.redirect_uri) {
+            return apiError(res, 400, "redirect_uri does not match the authorize request");
+         }
+         if (grant.codeChallenge) {
+            const verifier = form.code_verifier || "";
+            const computed = (grant.codeChallengeMethod == "S256") ? crypto.createHash("sha256").update(verifier).digest("base64url") : verifier;
+            if (computed != grant.codeChallenge) {
+               return apiError(res, 400, "Invalid code_verifier");
+            }
+         }
+         return res.json(issueTokens(grant.personId, grant.clientId, grant.scopes));
+      }
+
+      if (form.grant_type == "refresh_token") {
+         const grant = state.refreshTokens[form.refresh_token];
+         if (!grant || (grant.expiresAt < Date.now()) || (grant.clientId != form.client_id)) {
+            return apiError(res, 400, "Invalid refresh token");
+         }
+         return res.json(issueTokens(grant.personId, grant.clientId, grant.scopes, form.refresh_token));
+      }
+
+      apiError(res, 400, "Unsupported grant_type");
+   });
+
+
+   //
+   // API
+   //
+
+   // Checks the bearer token, and injects errors: sets req.person
+   function api(endpoint) {
+      return function (req, res, next) {
+         const error = injected(endpoint);
+         if (error && sendInjected(res, error)) {
+            return;
+         }
+
+         const match = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+         const token = match && state.accessTokens[match[1]];
+         if (!token || (token.expiresAt < Date.now())) {
+            return apiError(res, 401, "The request requires a valid access token set in the Authorization request header.");
+         }
+         req.person = people.find(function (person) {
+            return person.id == token.personId;
+         });
+         next();
+      };
+   }
+
+   // Sends a page of items, with a Link header to the next page
+   function page(req, res, items) {
+      const max = Math.max(1, parseInt(req.query.max) || 100);
+      const offset = Math.max(0, parseInt(req.query.cursor) || 0);
+      const slice = items.slice(offset, offset + max);
+      if (offset + max < items.length) {
+         const next = new URL(req.protocol + "://" + req.get("host") + req.originalUrl);
+         next.searchParams.set("cursor", String(offset + max));
+         res.set("Link", `<${next.toString()}>; rel="next"`);
+      }
+      res.json({ items: slice });
+   }
+
+   app.get("/v1/people/me", api("people/me"), function (req, res) {
+      res.json(Object.assign({ created: "2016-02-04T15:46:20.321Z" }, req.person));
+   });
+
+   app.get("/v1/people/:id", api("people"), function (req, res) {
+      const person = people.find(function (person) {
+         return person.id == req.params.id;
+      });
+      if (!person) {
+         return apiError(res, 404, "Person not found");
+      }
+      res.json(Object.assign({ created: "2016-02-04T15:46:20.321Z" }, person));
+   });
+
+   app.get("/v1/rooms", api("rooms"), function (req, res) {
+      const mine = rooms.filter(function (room) {
+         return state.memberships.some(function (membership) {
+            return (membership.roomId == room.id) && (membership.personId == req.person.id);
+         });
+      }).filter(function (room) {
+         return !req.query.type || (room.type == req.query.type);
+      });
+      page(req, res, mine);
+   });
+
+   app.get("/v1/rooms/:id", api("rooms"), function (req, res) {
+      const room = rooms.find(function (room) {
+         return room.id == req.params.id;
+      });
+      const member = room && state.memberships.some(function (membership) {
+         return (membership.roomId == room.id) && (membership.personId == req.person.id);
+      });
+      if (!member) {
+         return apiError(res, 404, "Could not find the space");
+      }
+      res.json(room);
+   });
+
+   app.get("/v1/memberships", api("memberships"), function (req, res) {
+      if (!req.query.roomId) {
+         return page(req, res, state.memberships.filter(function (membership) {
+            return membership.personId == req.person.id;
+         }));
+      }
+      const member = state.memberships.some(function (membership) {
+         return (membership.roomId == req.query.roomId) && (membership.personId == req.person.id);
+      });
+      if (!member) {
+         return apiError(res, 404, "Could not find memberships for this space");
+      }
+      page(req, res, state.memberships.filter(function (membership) {
+         return (membership.roomId == req.query.roomId)
+            && (!req.query.personId || (membership.personId == req.query.personId))
+            && (!req.query.personEmail || (membership.personEmail == req.query.personEmail));
+      }));
+   });
+
+   app.post("/v1/memberships", api("memberships"), express.json(), function (req, res) {
+      const body = req.body || {};
+      const person = people.find(function (person) {
+         return (person.id == body.personId) || (person.emails[0] == body.personEmail);
+      });
+      if (!body.roomId || !person) {
+         return apiError(res, 400, "Expecting a roomId, and the personId or personEmail of a known person");
+      }
+      const exists = state.memberships.some(function (membership) {
+         return (membership.roomId == body.roomId) && (membership.personId == person.id);
+      });
+      if (exists) {
+         return apiError(res, 409, "Person is already in the space");
+      }
+      const membership = { id: "mock-membership-" + random(), roomId: body.roomId, personId: person.id, personEmail: person.emails[0], isModerator: !!body.isModerator };
+      state.memberships.push(membership);
+      res.json(membership);
+   });
+
+   function isMember(personId, roomId) {
+      return state.memberships.some(function (membership) {
+         return (membership.roomId == roomId) && (membership.personId == personId);
+      });
+   }
+
+   app.get("/v1/messages", api("messages"), function (req, res) {
+      if (!req.query.roomId || !isMember(req.person.id, req.query.roomId)) {
+         return apiError(res, 404, "Could not find messages for this space");
+      }
+      let messages = state.messages.filter(function (message) {
+         return message.roomId == req.query.roomId;
+      }).reverse();
+      if (req.query.beforeMessage) {
+         const index = messages.findIndex(function (message) {
+            return message.id == req.query.beforeMessage;
+         });
+         messages = (index < 0) ? [] : messages.slice(index + 1);
+      }
+      if (req.query.before) {
+         messages = messages.filter(function (message) {
+            return message.created < new Date(req.query.before).toISOString();
+         });
+      }
+      res.json({ items: messages.slice(0, Math.max(1, parseInt(req.query.max) || 50)) });
+   });
+
+   app.post("/v1/messages", api("messages"), express.json(), function (req, res) {
+      const body = req.body || {};
+      let roomId = body.roomId;
+      if (body.toPersonEmail) {
+         const other = people.find(function (person) {
+            return person.emails[0] == body.toPersonEmail;
+         });
+         if (!other) {
+            return apiError(res, 404, "Unknown person: " + body.toPersonEmail);
+         }
+         roomId = "mock-direct-" + [req.person.id, other.id].sort().join("-");
+      }
+      else if (!roomId || !isMember(req.person.id, roomId)) {
+         return apiError(res, 404, "Could not find the space");
+      }
+      if (!body.text && !body.markdown && !body.files) {
+         return apiError(res, 400, "Message must have text, markdown or files");
+      }
+      const message = {
+         id: "mock-message-" + random(),
+         roomId: roomId,
+         personId: req.person.id,
+         personEmail: req.person.emails[0],
+         created: new Date().toISOString()
+      };
+      ["text", "markdown", "files", "attachments"].forEach(function (key) {
+         if (body[key] !== undefined) {
+            message[key] = body[key];
+         }
+      });
+      state.messages.push(message);
+      res.json(message);
+   });
+
+   app.delete("/v1/messages/:id", api("messages"), function (req, res) {
+      const index = state.messages.findIndex(function (message) {
+         return message.id == req.params.id;
+      });
+      if (index < 0) {
+         return apiError(res, 404, "Message not found");
+      }
+      if (state.messages[index].personId != req.person.id) {
+         return apiError(res, 403, "Only the author can delete a message");
+      }
+      state.messages.splice(index, 1);
+      res.status(204).end();
+   });
+
+   app.head("/v1/contents/:id", api("contents"), function (req, res) {
+      const content = state.contents[req.params.id];
+      if (!content) {
+         return res.status(404).end();
+      }
+      res.set("Content-Disposition", `attachment; filename="${content.name}"`);
+      res.set("Content-Type", content.contentType);
+      res.set("Content-Length", String(content.size));
+      res.end();
+   });
+
+   app.get("/v1/authorizations", api("authorizations"), function (req, res) {
+      const items = [];
+      Object.keys(state.refreshTokens).forEach(function (token) {
+         const grant = state.refreshTokens[token];
+         if (grant.personId == req.query.personId) {
+            items.push({ id: token, applicationId: grant.clientId, clientId: grant.clientId, type: "refresh" });
+         }
+      });
+      res.json({ items: items });
+   });
+
+   app.delete("/v1/authorizations/:id", api("authorizations"), function (req, res) {
+      const grant = state.refreshTokens[req.params.id];
+      if (!grant) {
+         return apiError(res, 404, "Authorization not found");
+      }
+      delete state.refreshTokens[req.params.id];
+      Object.keys(state.accessTokens).forEach(function (token) {
+         if ((state.accessTokens[token].personId == grant.personId) && (state.accessTokens[token].clientId == grant.clientId)) {
+            delete state.accessTokens[token];
+         }
+      });
+      res.status(204).end();
+   });
+
+   app.use(function (req, res) {
+      apiError(res, 404, "Mock Webex does not implement: " + req.method + " " + req.path);
+   });
+
+   app.inject = inject;
+   app.reset = reset;
+   app.state = state;
+   return app;
+};
+
+module.exports.DEFAULT_PEOPLE = DEFAULT_PEOPLE;
+module.exports.DEFAULT_ROOMS = DEFAULT_ROOMS;
+
+
+// Command line: starts the mock on MOCK_PORT (defaults to 9090)
+if (require.main === module) {
+   const port = process.env.MOCK_PORT || 9090;
+   module.exports().listen(port, function () {
+      console.log(`Mock Webex started, point your integration to: WEBEX_API_URL=http://localhost:${port}/v1`);
+   });
+}
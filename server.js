@@ -16,6 +16,10 @@ require('node-env-file')(__dirname + '/.env');
 
 const debug = require("debug")("oauth");
 const fine = require("debug")("oauth:fine");
+const redact = require("./lib/redact"); // never log tokens in clear
+const errors = require("./lib/errors"); // error pages, see www/error.ejs
+const validate = require("./lib/validate"); // never trust upstream payloads
+const log = require("./lib/log");
 
 const request = require("request");
 const express = require('express');
@@ -29,6 +33,10 @@ const clientId = process.env.CLIENT_ID || "C4d2626189e40ffbde5f8d2948650bda5b426
 const clientSecret = process.env.CLIENT_SECRET || "81772d83ee75a5835d2b19a1c9e95b47bf6618a3a736e361c5324dc18e7183e8";
 const scopes = process.env.SCOPES || "spark:people_read"; // supported scopes are documented at: https://developer.webex.com/add-integration.html, the scopes separator is a space, example: "spark:people_read spark:rooms_read"
 
+// Webex API base URL: https://api.ciscospark.com/v1 (default), https://webexapis.com/v1, or a local mock
+const webexClient = require("./lib/webex-client");
+const apiURL = (process.env.WEBEX_API_URL || webexClient.DEFAULT_BASE_URL).replace(/\/+$/, "");
+
 // Compute redirect URI where your integration is waiting for Webex cloud to redirect and send the authorization code
 // unless provided via the REDIRECT_URI variable
 const port = process.env.PORT || 8080;
@@ -43,7 +51,46 @@ if (!redirectURI) {
       redirectURI = `http://localhost:${port}/oauth`;
    }
 }
-debug(`OAuth integration settings:\n   - CLIENT_ID    : ${clientId}\n   - REDIRECT_URI : ${redirectURI}\n   - SCOPES       : ${scopes}`);
+
+// Public URL of the integration, where users land back after logging out
+//   - unless provided via the PUBLIC_URL variable, defaults to the origin of the redirect URI
+const publicURL = (process.env.PUBLIC_URL || new URL(redirectURI).origin).replace(/\/+$/, "");
+
+// Tenants: several integrations (ex: prod, staging) can be served from this process, via a TENANTS_FILE (JSON or YAML)
+//   - if no TENANTS_FILE is specified, the integration described above is served as the only tenant
+const tenantConfig = require("./lib/tenants");
+let tenantSettings;
+try {
+   tenantSettings = tenantConfig.fromEnv(publicURL, {
+      clientId: clientId,
+      clientSecret: clientSecret,
+      scopes: scopes,
+      redirectURI: redirectURI
+   });
+}
+catch (err) {
+   console.log("ERROR: " + err.message);
+   process.exit(1);
+}
+
+// Fail fast if the integration is misconfigured, rather than on the first token exchange
+//   - checks credential formats, redirect URIs (HTTPS required outside localhost) and scopes, see lib/config-check.js
+const configCheck = require("./lib/config-check");
+const configReport = configCheck.check(tenantSettings);
+configReport.warnings.forEach(function (warning) {
+   console.log("WARNING: " + warning);
+});
+if (configReport.errors.length > 0) {
+   configReport.errors.forEach(function (error) {
+      console.log("ERROR: " + error);
+   });
+   console.log("Please fix your integration settings, see the README for details");
+   process.exit(1);
+}
+
+tenantSettings.forEach(function (tenant) {
+   debug(`OAuth integration settings for tenant '${tenant.id}':\n   - CLIENT_ID    : ${tenant.clientId}\n   - REDIRECT_URI : ${tenant.redirectURI}\n   - SCOPES       : ${tenant.scopes}\n   - API          : ${apiURL}`);
+});
 
 
 // Step 1: initiate the OAuth flow
@@ -54,24 +101,116 @@ debug(`OAuth integration settings:\n   - CLIENT_ID    : ${clientId}\n   - REDIRE
 // -- Comment this section to initiate the flow from  static html page
 
 // state can be used for security and/or correlation purposes
-const state = process.env.STATE || "CiscoDevNet";
+//   - a fresh state is issued each time the home page is served, and recorded in the browser's session
+//   - the session is identified by a signed cookie, signing secret can be set via the SESSION_SECRET variable
+const oauthState = require("./lib/oauth-state");
+const stateTTL = process.env.STATE_TTL ? parseInt(process.env.STATE_TTL) * 1000 : oauthState.DEFAULT_TTL; // in seconds
+
+// Incremental consent: features ask for extra scopes only when needed, see requireScopes()
+const scopeList = require("./lib/scopes");
+
+// PKCE can be turned on via the PKCE variable: 'S256' (recommended), or 'plain' as a fallback
+const pkce = require("./lib/pkce");
+const pkceMethod = pkce.method(process.env.PKCE);
+
+const secure = publicURL.startsWith("https://");
+if (secure) {
+   app.set("trust proxy", 1); // secure cookies behind a TLS-terminating proxy (Glitch, Heroku...)
+}
+app.use(require("./lib/request-id")()); // req.id, correlates audit entries and logs
+app.use(require("./lib/session")(secure));
+
+// Observability
+//   - audit trail of the OAuth lifecycle, appended to the AUDIT_LOG file as JSON lines, see lib/audit.js
+//   - Prometheus metrics, exposed on /metrics
+const audit = require("./lib/audit").fromEnv();
+const metrics = require("./lib/metrics")();
+const callbackOutcomes = metrics.counter("oauth_callback_total", "Outcomes of the OAuth callback: success, or the error code", ["tenant", "outcome"]);
+const refreshOutcomes = metrics.counter("oauth_token_refresh_total", "Outcomes of the background token refreshes", ["tenant", "outcome"]);
+const webexLatency = metrics.histogram("webex_api_request_duration_seconds", "Latency of the Webex API calls made along the OAuth flow", ["tenant", "operation", "status"]);
 
-const initiateURL = "https://api.ciscospark.com/v1/authorize?"
-   + "client_id=" + clientId
-   + "&response_type=code"
-   + "&redirect_uri=" + encodeURIComponent(redirectURI)
-   + "&scope=" + encodeURIComponent(scopes)
-   + "&state=" + state;
+// Builds the authorize URL of a tenant
+//   - options.scopes: the scopes to ask for, space separated
+//   - options.codeChallenge: [optional] PKCE code challenge
+//   - options.prompt: [optional] ex: 'select_account' to let the user pick another Webex identity
+function initiateURL(tenant, state, options) {
+   let url = apiURL + "/authorize?"
+      + "client_id=" + tenant.clientId
+      + "&response_type=code"
+      + "&redirect_uri=" + encodeURIComponent(tenant.redirectURI)
+      + "&scope=" + encodeURIComponent(options.scopes)
+      + "&state=" + state;
+   if (options.codeChallenge) {
+      url += "&code_challenge=" + options.codeChallenge
+         + "&code_challenge_method=" + pkceMethod;
+   }
+   if (options.prompt) {
+      url += "&prompt=" + encodeURIComponent(options.prompt);
+   }
+   return url;
+}
 
 const read = require("fs").readFileSync;
 const join = require("path").join;
 const str = read(join(__dirname, '/www/index.ejs'), 'utf8');
 const ejs = require("ejs");
-const compiled = ejs.compile(str)({ "link": initiateURL }); // inject the link into the template
+const compiled = ejs.compile(str);
+
+// Issues a new state for the browser session, and returns the URL that initiates the flow with a tenant
+//   - options.prompt: [optional] ex: 'select_account' to let the user pick another Webex identity
+//   - options.scopes: [optional] the scopes to ask for, defaults to the tenant's scopes
+//   - options.returnTo: [optional] where to send the user back once the flow completes
+//   - options.device: [optional] user code of the device authorization the tokens will be bound to, see /device
+function startFlow(req, tenant, options) {
+   options = options || {};
+
+   // The tenant and requested scopes are stored along with the flow's state, to record them in the grant
+   const flow = {
+      tenant: tenant.id,
+      scopes: scopeList.format(options.scopes || tenant.scopes),
+      returnTo: options.returnTo || null,
+      device: options.device || null
+   };
 
+   // [Optional] PKCE: the code verifier is stored along with the flow's state
+   if (pkceMethod) {
+      flow.codeVerifier = pkce.generateVerifier();
+   }
+   const state = oauthState.issue(req.session, stateTTL, flow);
+   audit.record("flow_started", req, { tenant: tenant.id, scopes: flow.scopes, device: !!flow.device });
+
+   return initiateURL(tenant, state, {
+      scopes: flow.scopes,
+      codeChallenge: pkceMethod ? pkce.challenge(flow.codeVerifier, pkceMethod) : null,
+      prompt: options.prompt
+   });
+}
+
+
+// The home page offers one 'Start OAuth flow' button per tenant
 app.get("/index.html", function (req, res) {
    debug("serving the integration home page (generated from an EJS template)");
-   res.send(compiled);
+   const links = tenants.list.map(function (tenant) {
+      return { "link": startFlow(req, tenant), "branding": tenant.branding };
+   });
+   res.send(compiled({ "tenants": links })); // inject the links into the template
+});
+
+
+// Starts a new flow right away, such as from the 'try again' link of the error pages
+//   - tenant: [optional] defaults to the first tenant
+function tenantOf(req) {
+   return tenants.get(req.query.tenant) || tenants.list[0];
+}
+
+// 'Try again' link of the error pages of a tenant's flow
+function retryURLOf(tenant) {
+   return "/login?tenant=" + encodeURIComponent(tenant.id);
+}
+
+app.get("/login", function (req, res) {
+   debug("initiating a new OAuth flow");
+   res.redirect(startFlow(req, tenantOf(req)));
 });
 
 app.get("/", function (req, res) {
@@ -87,48 +226,83 @@ app.use("/", express.static(path.join(__dirname, 'www')));
 
 
 // Step 2: process OAuth Authorization codes
+//   - each tenant waits for Webex cloud to redirect on its own path, such as /oauth/staging
 //
-app.get("/oauth", function (req, res) {
-   debug("oauth callback hitted");
+function oauthCallback(tenant, req, res) {
+   debug(`oauth callback hitted for tenant: ${tenant.id}`);
+   const retryURL = retryURLOf(tenant);
 
    // Did the user decline
    if (req.query.error) {
       if (req.query.error == "access_denied") {
          debug("user declined, received err: " + req.query.error);
-         res.send("<h1>OAuth Integration could not complete</h1><p>Got your NO, ciao.</p>");
+         // A headless tool waiting on this flow gets told that the user declined
+         const declined = req.query.state ? oauthState.consume(req.session, req.query.state) : {};
+         if (declined.flow && declined.flow.device) {
+            devices.deny(declined.flow.device);
+         }
+         audit.record("consent_declined", req, { tenant: tenant.id, device: !!(declined.flow && declined.flow.device) });
+         errors.render(req, res, "access_denied", null, retryURL);
          return;
       }
 
       if (req.query.error == "invalid_scope") {
          debug("wrong scope requested, received err: " + req.query.error);
-         res.send("<h1>OAuth Integration could not complete</h1><p>The application is requesting an invalid scope, Bye bye.</p>");
+
+         // Report the scopes requested on top of the integration's base scopes, as these are the likely culprits
+         const check = req.query.state ? oauthState.consume(req.session, req.query.state) : {};
+         const requested = check.flow ? check.flow.scopes : tenant.scopes;
+         const extra = scopeList.missing(tenant.scopes, requested);
+         const rejected = (extra.length > 0) ? extra : scopeList.parse(requested);
+         let detail = "requested scope(s): " + rejected.join(" ");
+         if (req.query.error_description) {
+            detail = req.query.error_description + ", " + detail;
+         }
+         errors.render(req, res, "invalid_scope", detail, retryURL);
          return;
       }
 
       if (req.query.error == "server_error") {
          debug("server error, received err: " + req.query.error);
-         res.send("<h1>OAuth Integration could not complete</h1><p>Webex sent a server error, Auf Wiedersehen.</p>");
+         errors.render(req, res, "server_error", null, retryURL);
          return;
       }
 
       debug("received err: " + req.query.error);
-      res.send("<h1>OAuth Integration could not complete</h1><p>Error case not implemented, au revoir.</p>");
+      errors.render(req, res, "unsupported_error", req.query.error, retryURL);
       return;
    }
 
    // Check request parameters correspond to the spec
    if ((!req.query.code) || (!req.query.state)) {
       debug("expected code & state query parameters are not present");
-      res.send("<h1>OAuth Integration could not complete</h1><p>Unexpected query parameters, ignoring...</p>");
+      errors.render(req, res, "missing_params", null, retryURL);
       return;
    }
 
    // Check State 
-   // [NOTE] we implement a Security check below, but the State variable can also be leveraged for Correlation purposes
-   if (state != req.query.state) {
-      debug("State does not match");
-      res.send("<h1>OAuth Integration could not complete</h1><p>Wrong secret, aborting...</p>");
-      return;
+   // [NOTE] the State acts as a Security check (CSRF), and as a Correlation ID with the browser session that initiated the flow
+   const check = oauthState.consume(req.session, req.query.state);
+   // A flow can only complete with the tenant that initiated it
+   if ((check.status == oauthState.VALID) && (check.flow.tenant != tenant.id)) {
+      debug("State was issued for another tenant");
+      check.status = oauthState.UNKNOWN;
+   }
+   switch (check.status) {
+      case oauthState.VALID:
+         break;
+      case oauthState.EXPIRED:
+         debug("State has expired");
+         errors.render(req, res, "state_expired", null, retryURL);
+         return;
+      case oauthState.REPLAYED:
+         debug("State has already been used");
+         errors.render(req, res, "state_replayed", null, retryURL);
+         return;
+      default:
+         debug("State is unknown to this browser session");
+         errors.render(req, res, "state_unknown", null, retryURL);
+         return;
    }
 
    // Retreive access token (expires in 14 days) & refresh token (expires in 90 days)
@@ -140,56 +314,74 @@ app.get("/oauth", function (req, res) {
    //   }
    const options = {
       method: "POST",
-      url: "https://api.ciscospark.com/v1/access_token",
+      url: apiURL + "/access_token",
       headers: {
          "content-type": "application/x-www-form-urlencoded"
       },
       form: {
          grant_type: "authorization_code",
-         client_id: clientId,
-         client_secret: clientSecret,
+         client_id: tenant.clientId,
+         client_secret: tenant.clientSecret,
          code: req.query.code,
-         redirect_uri: redirectURI
+         redirect_uri: tenant.redirectURI
       }
    };
+   if (check.flow.codeVerifier) {
+      options.form.code_verifier = check.flow.codeVerifier;
+   }
+   const started = Date.now();
    request(options, function (error, response, body) {
+      webexLatency.observe({ tenant: tenant.id, operation: "token_exchange", status: error ? "error" : response.statusCode }, (Date.now() - started) / 1000);
       if (error) {
          debug("could not reach Webex cloud to retreive access & refresh tokens");
-         res.send("<h1>OAuth Integration could not complete</h1><p>Sorry, could not retreive your access token. Try again...</p>");
+         errors.render(req, res, "token_unreachable", null, retryURL);
          return;
       }
 
       if (response.statusCode != 200) {
          debug("access token not issued with status code: " + response.statusCode);
+         log.warn("token_not_issued", { statusCode: response.statusCode, trackingId: response.headers["trackingid"] });
          switch (response.statusCode) {
             case 400:
-               const responsePayload = JSON.parse(response.body);
-               res.send("<h1>OAuth Integration could not complete</h1><p>Bad request. <br/>" + responsePayload.message + "</p>");
+               const responsePayload = validate.errorResponse(body);
+               if (responsePayload.error) {
+                  log.error("token_error_response_invalid", { statusCode: 400, reason: responsePayload.error });
+               }
+               errors.render(req, res, "token_bad_request", responsePayload.value && responsePayload.value.message, retryURL);
                break;
             case 401:
-               res.send("<h1>OAuth Integration could not complete</h1><p>OAuth authentication error. Ask the service contact to check the secret.</p>");
+               errors.render(req, res, "token_unauthorized", null, retryURL);
                break;
             default:
-               res.send("<h1>OAuth Integration could not complete</h1><p>Sorry, could not retreive your access token. Try again...</p>");
+               errors.render(req, res, "token_server_error", null, retryURL);
                break;
          }
          return;
       }
 
       // Check payload
-      const json = JSON.parse(body);
-      if ((!json) || (!json.access_token) || (!json.expires_in) || (!json.refresh_token) || (!json.refresh_token_expires_in)) {
+      const parsed = validate.tokenResponse(body);
+      if (parsed.error) {
          debug("could not parse access & refresh tokens");
-         res.send("<h1>OAuth Integration could not complete</h1><p>Sorry, could not retreive your access token. Try again...</p>");
+         log.error("token_response_invalid", { statusCode: response.statusCode, trackingId: response.headers["trackingid"], reason: parsed.error });
+         errors.render(req, res, "token_invalid", null, retryURL);
          return;
       }
-      debug("OAuth flow completed, fetched tokens: " + JSON.stringify(json));
-
-      // [Optional] Store tokens for future use
-      storeTokens(json.access_token, json.expires_in, json.refresh_token, json.refresh_token_expires_in);
+      const json = parsed.value;
+      debug("OAuth flow completed, fetched tokens: " + redact(json));
 
       // OAuth flow has completed
-      oauthFlowCompleted(json.access_token, res);
+      oauthFlowCompleted(tenant, json, check.flow, req, res);
+   });
+}
+
+tenantSettings.forEach(function (tenant) {
+   app.get(tenant.redirectPath, function (req, res) {
+      // Error pages report their code, see lib/errors.js
+      res.on("finish", function () {
+         callbackOutcomes.inc({ tenant: tenant.id, outcome: res.locals.errorCode || "success" });
+      });
+      oauthCallback(tenant, req, res);
    });
 });
 
@@ -201,33 +393,37 @@ app.get("/oauth", function (req, res) {
 // some optional activities to perform here: 
 //    - associate the issued access token to a user through the state (acting as a Correlation ID)
 //    - store the refresh token (valid 90 days) to reissue later a new access token (valid 14 days)
-function oauthFlowCompleted(access_token, res) {
+function oauthFlowCompleted(tenant, tokens, flow, req, res) {
+   const retryURL = retryURLOf(tenant);
 
    //
    // Custom logic below
    //
 
-   // Retreive user name: GET https://api.ciscospark.com/v1/people/me
-   const options = {
-      method: 'GET',
-      url: 'https://api.ciscospark.com/v1/people/me',
-      headers:
-      {
-         "authorization": "Bearer " + access_token
-      }
-   };
-
-   request(options, function (error, response, body) {
-      if (error) {
-         debug("could not reach Webex API to retreive Person's details, error: " + error);
-         res.send("<h1>OAuth Integration could not complete</h1><p>Sorry, could not retreive your Webex Teams account details. Try again...</p>");
-         return;
+   // Retreive user name: GET /people/me
+   //   - if the access token gets rejected, the client refreshes it once and retries
+   const client = webexClient({
+      baseURL: apiURL,
+      token: tokens.access_token,
+      observe: function (method, path, status, seconds) {
+         webexLatency.observe({ tenant: tenant.id, operation: "people_me", status: status || "error" }, seconds);
+      },
+      refresh: function (callback) {
+         refreshAccessToken(tenant, tokens.refresh_token, function (err, refreshed) {
+            if (err) {
+               return callback(err);
+            }
+            tokens = refreshed;
+            callback(null, refreshed.access_token);
+         });
       }
+   });
 
-      // Check the call is successful
-      if (response.statusCode != 200) {
-         debug("could not retreive your details, /people/me returned: " + response.statusCode);
-         res.send("<h1>OAuth Integration could not complete</h1><p>Sorry, could not retreive your Webex Teams account details. Try again...</p>");
+   client.get("/people/me", function (err, json) {
+      if (err) {
+         debug(`could not retreive your details, /people/me returned: ${err.status}, trackingId: ${err.trackingId}, error: ${err.message}`);
+         log.error("person_failed", { statusCode: err.status, trackingId: err.trackingId, reason: err.message });
+         errors.render(req, res, "person_failed", null, retryURL);
          return;
       }
 
@@ -241,85 +437,763 @@ function oauthFlowCompleted(access_token, res) {
       //      "avatar": "https://1efa7a94ed216783e352-c62266528714497a17239ececf39e9e2.ssl.cf1.rackcdn.com/V1~c2582d2fb9d11e359e02b12c17800f09~aqSu09sCTVOOx45HJCbWHg==~1600",
       //      "created": "2016-02-04T15:46:20.321Z"
       //    }
-      const json = JSON.parse(body);
-      if ((!json) || (!json.displayName)) {
-         debug("could not parse Person details: bad json payload or could not find a displayName.");
-         res.send("<h1>OAuth Integration could not complete</h1><p>Sorry, could not retreive your Webx Teams account details. Try again...</p>");
+      const violations = validate.check(validate.schemas.person, json);
+      if (violations.length > 0) {
+         debug("could not parse Person details: bad json payload or could not find an id or displayName.");
+         log.error("person_invalid", { reason: violations.join(", ") });
+         errors.render(req, res, "person_failed", null, retryURL);
          return;
       }
 
-      // Uncomment to send feedback via static HTML code 
-      //res.send("<h1>OAuth Integration example for Webex (static HTML)</h1><p>So happy to meet, " + json.displayName + " !</p>");
-      // Current code leverages an EJS template:
-      const str = read(join(__dirname, '/www/display-name.ejs'), 'utf8');
-      const compiled = ejs.compile(str)({ "displayName": json.displayName });
-      res.send(compiled);
+      audit.record("code_exchanged", req, { tenant: tenant.id, personId: json.id, scopes: flow.scopes, device: !!flow.device });
+
+      // Store tokens for future use
+      storeTokens(tenant, json, tokens, flow.scopes, function (err, record) {
+         if (err) {
+            debug("could not store tokens, err: " + err.message);
+            errors.render(req, res, "store_failed", null, retryURL);
+            return;
+         }
+
+         // Have Webex notify the integration about the user's events, in the background
+         if (tenant.hooks.resources.length > 0) {
+            tenant.hooks.register(clientFor(record), record, function (err) {
+               if (err) {
+                  log.warn("webhooks_not_registered", { personId: record.personId, status: err.status, trackingId: err.trackingId });
+               }
+            });
+         }
+
+         // Device authorization: the tokens go to the headless tool, and the browser does not get signed in
+         if (flow.device) {
+            if (!devices.approve(flow.device, deviceGrant(record))) {
+               debug("device authorization expired while the user was going through the flow");
+               errors.render(req, res, "device_code_invalid", null, "/device");
+               return;
+            }
+            res.send(deviceTemplate({ "step": "done", "displayName": json.displayName }));
+            return;
+         }
+
+         // Remember who is signed in this browser, and make it the active identity
+         accounts.add(req.session, tenants.keyOf(record));
+
+         // Step-up consent: send the user back to the feature that asked for extra scopes
+         if (flow.returnTo) {
+            debug("scopes upgraded, redirecting to: " + flow.returnTo);
+            res.redirect(flow.returnTo);
+            return;
+         }
+
+         // Uncomment to send feedback via static HTML code 
+         //res.send("<h1>OAuth Integration example for Webex (static HTML)</h1><p>So happy to meet, " + json.displayName + " !</p>");
+         // Current code leverages an EJS template:
+         const str = read(join(__dirname, '/www/display-name.ejs'), 'utf8');
+         const compiled = ejs.compile(str)({ "displayName": json.displayName, "accounts": accounts.list(req.session).length, "branding": tenant.branding });
+         res.send(compiled);
+      });
    });
 }
 
 
-// The idea here is to store the access token for future use, and the expiration dates and refresh_token to have Webex cloud issue a new access token
-function storeTokens(access_token, expires_in, refresh_token, refresh_token_expires_in) {
+// Store the access token for future use, and the expiration dates and refresh_token to have Webex cloud issue a new access token
+//   - grants are keyed by Webex person id, the store is picked via the TOKEN_STORE variable ('memory' or 'file')
+//   - each tenant stores its grants in its own namespace: tenant.store
+//   - 'store' lists the grants of all tenants, keyed by account key ('<tenant id>/<person id>')
+const tokenStore = require("./lib/token-store");
+const tenants = tenantConfig.registry(tenantSettings, tokenStore.fromEnv());
+const store = tenants.store;
 
-   // Store the token in some secure backend
-   debug("TODO: store tokens and expiration dates");
-
-   // For demo purpose, we'll NOW ask for a refreshed token
-   refreshAccessToken(refresh_token);
+// Grants are recorded with the scopes asked for in the flow, unless Webex lists the scopes granted
+function storeTokens(tenant, person, tokens, requestedScopes, callback) {
+   const record = tokenStore.createRecord(tokens, person, requestedScopes);
+   tenant.store.get(person.id, function (err, existing) {
+      if (existing) {
+         // The user authorized again (ex: step-up consent): the grant is updated
+         record.created = existing.created;
+         // Webhooks registered with the previous tokens stay valid until replaced
+         if (existing.webhooks) {
+            record.webhooks = existing.webhooks;
+         }
+      }
+      tenant.store.put(record, function (err, stored) {
+         if (err) {
+            return callback(err);
+         }
+         debug(`stored tokens for: ${person.displayName}, with scopes: ${record.scopes.join(" ")}`);
+         callback(null, stored);
+      });
+   });
 }
 
 //
-// Example of Refresh token usage
+// Refresh token usage: have Webex cloud issue a new access token
+//   - callback(err, tokens): err.retryable is true for transient errors (network, 5xx) which are worth retrying
 //
-function refreshAccessToken(refresh_token) {
+function refreshAccessToken(tenant, refresh_token, callback) {
 
    const options = {
       method: "POST",
-      url: "https://api.ciscospark.com/v1/access_token",
+      url: apiURL + "/access_token",
       headers: {
          "content-type": "application/x-www-form-urlencoded"
       },
       form: {
          grant_type: "refresh_token",
-         client_id: clientId,
-         client_secret: clientSecret,
+         client_id: tenant.clientId,
+         client_secret: tenant.clientSecret,
          refresh_token: refresh_token
       }
    };
+   const started = Date.now();
    request(options, function (error, response, body) {
+      webexLatency.observe({ tenant: tenant.id, operation: "token_refresh", status: error ? "error" : response.statusCode }, (Date.now() - started) / 1000);
       if (error) {
          debug("could not reach Webex cloud to refresh access token");
+         error.retryable = true;
+         callback(error);
          return;
       }
 
       if (response.statusCode != 200) {
          debug("access token not issued with status code: " + response.statusCode);
+         const err = new Error("access token not issued with status code: " + response.statusCode);
+         err.statusCode = response.statusCode;
+         err.retryable = (response.statusCode >= 500) || (response.statusCode == 429);
+         callback(err);
          return;
       }
 
       // Check payload
-      const json = JSON.parse(body);
-      if ((!json) || (!json.access_token) || (!json.expires_in) || (!json.refresh_token) || (!json.refresh_token_expires_in)) {
+      const parsed = validate.tokenResponse(body);
+      if (parsed.error) {
          debug("could not parse response");
+         log.error("refresh_response_invalid", { statusCode: response.statusCode, trackingId: response.headers["trackingid"], reason: parsed.error });
+         const err = new Error("could not parse refresh token response: " + parsed.error);
+         err.retryable = true;
+         callback(err);
          return;
       }
+      const json = parsed.value;
 
       // Refresh token obtained
-      debug("newly issued tokens: " + JSON.stringify(json));
+      debug("newly issued tokens: " + redact(json));
+      callback(null, json);
    });
 }
 
+// Refresh access tokens in the background, before they expire
+//   - REFRESH_LEAD_TIME: number of seconds before expiration to refresh an access token, defaults to 1 day
+//   - REFRESH_INTERVAL: number of seconds between two scans of the token store, defaults to 1 hour
+//   - REFRESH_MAX_RETRIES: number of retries on network and 5xx errors, defaults to 5
+//   - each tenant has its own scheduler, which refreshes tokens with the tenant's client credentials
+const refreshScheduler = require("./lib/refresh-scheduler");
+const refreshSettings = {
+   leadTime: process.env.REFRESH_LEAD_TIME ? parseInt(process.env.REFRESH_LEAD_TIME) * 1000 : refreshScheduler.DEFAULTS.leadTime,
+   interval: process.env.REFRESH_INTERVAL ? parseInt(process.env.REFRESH_INTERVAL) * 1000 : refreshScheduler.DEFAULTS.interval,
+   maxRetries: process.env.REFRESH_MAX_RETRIES ? parseInt(process.env.REFRESH_MAX_RETRIES) : refreshScheduler.DEFAULTS.maxRetries
+};
+
+// Webhooks: have Webex notify the integration about the events of the users who authorized it
+//   - WEBHOOKS: comma separated list of resources among 'messages', 'memberships' and 'rooms', no webhook is registered if not set
+//   - notifications are posted to PUBLIC_URL/webhooks/webex (PUBLIC_URL/webhooks/webex/<tenant id> for additional tenants),
+//     which has to be reachable from Webex
+//   - notifications for grants which need re-consent are acknowledged but not dispatched
+const webhooks = require("./lib/webhooks");
+
+tenants.list.forEach(function (tenant) {
+   tenant.scheduler = refreshScheduler(tenant.store, function (refresh_token, callback) {
+      refreshAccessToken(tenant, refresh_token, callback);
+   }, refreshSettings);
+
+   // Hook: a user has to go through the OAuth flow again
+   //   - this is where the integration would notify the user (email, bot message...)
+   tenant.scheduler.on("reauthorize", function (record, reason) {
+      console.log(`INFO: ${record.displayName} (${record.email}) needs to authorize the '${tenant.id}' integration again, reason: ${reason}`);
+      audit.record("refresh_failed", null, { tenant: tenant.id, personId: record.personId, reason: reason, reauthorize: true });
+      refreshOutcomes.inc({ tenant: tenant.id, outcome: "reauthorize" });
+   });
+   tenant.scheduler.on("refreshed", function (record) {
+      audit.record("token_refreshed", null, { tenant: tenant.id, personId: record.personId, accessTokenExpiresAt: record.accessTokenExpiresAt });
+      refreshOutcomes.inc({ tenant: tenant.id, outcome: "refreshed" });
+   });
+   tenant.scheduler.on("failed", function (err, record) {
+      audit.record("refresh_failed", null, { tenant: tenant.id, personId: record.personId, reason: err.message, reauthorize: false });
+      refreshOutcomes.inc({ tenant: tenant.id, outcome: "failed" });
+   });
+
+   const webhookPath = (tenant.id == tenantConfig.DEFAULT_ID) ? "/webhooks/webex" : "/webhooks/webex/" + tenant.id;
+   tenant.hooks = webhooks(tenant.store, {
+      targetUrl: publicURL + webhookPath,
+      resources: scopeList.parse(process.env.WEBHOOKS)
+   });
+   app.post(webhookPath, tenant.hooks.receiver());
+
+   // Hook: this is where the integration reacts to the users' events
+   tenant.hooks.on("*", "*", function (notification, record) {
+      log.info("webhook_received", { tenant: tenant.id, resource: notification.resource, webhookEvent: notification.event, personId: record.personId });
+   });
+});
+
+
+// Multi-account sessions: a browser can hold several authorized Webex identities
+//   - the active identity is the one used for the widget and API calls
+//   - new identities are added by initiating a new flow, asking Webex to let the user pick an account
+const accounts = require("./lib/accounts");
+const withAccounts = accounts.loader(store);
+const signedIn = accounts.required(function (req, res) {
+   errors.render(req, res, "not_signed_in");
+});
+
+const accountsTemplate = ejs.compile(read(join(__dirname, '/www/accounts.ejs'), 'utf8'));
 
-function getLogoutURL(token, redirectURL) {
-   const rootURL = redirectURL.substring(0, redirectURL.length - 5);
+// Identities are keyed by '<tenant id>/<person id>', as a person may have authorized several tenants
+app.get("/accounts", withAccounts, function (req, res) {
+   debug("serving the account picker");
+   res.send(accountsTemplate({
+      "accounts": req.accounts,
+      "activeKey": req.account ? tenants.keyOf(req.account) : null,
+      "keyOf": tenants.keyOf,
+      "tenants": tenants.list
+   }));
+});
+
+//   - tenant: [optional] the tenant to authorize, defaults to the first tenant
+app.get("/accounts/add", function (req, res) {
+   debug("adding an account: initiating a new OAuth flow");
+   res.redirect(startFlow(req, tenantOf(req), { prompt: "select_account" }));
+});
+
+app.post("/accounts/:key/activate", withAccounts, function (req, res) {
+   if (!accounts.activate(req.session, req.params.key)) {
+      debug("cannot activate an identity which is not part of the session");
+   }
+   res.redirect("/accounts");
+});
+
+// Forgets an identity in this browser, the grant is kept (see /logout to revoke it)
+app.post("/accounts/:key/remove", withAccounts, function (req, res) {
+   accounts.remove(req.session, req.params.key);
+   res.redirect("/accounts");
+});
+
+// Features declare the scopes they require:
+//   users missing some of them are sent through the authorize URL again, asking for the union of the granted and required scopes
+function requireScopes(required) {
+   return function (req, res, next) {
+      const missing = scopeList.missing(req.account.scopes, required);
+      if (missing.length == 0) {
+         return next();
+      }
+
+      debug(`step-up consent: ${req.account.displayName} misses scope(s): ${missing.join(" ")}`);
+      res.redirect(startFlow(req, tenants.get(req.account.tenant), {
+         scopes: scopeList.union(req.account.scopes, required),
+         returnTo: req.originalUrl
+      }));
+   };
+}
+
+// Step-up consent on demand, such as from the consentURL of the /api 403 responses: the flow only starts when the user follows the link
+//   - scope: the scopes to ask for, on top of the ones already granted
+//   - returnTo: [optional] a path of the integration where to send the user back once the flow completes
+app.get("/consent", withAccounts, signedIn, function (req, res) {
+   const required = scopeList.parse((typeof req.query.scope == "string") ? req.query.scope : "");
+   const returnTo = ((typeof req.query.returnTo == "string") && /^\/(?![\/\\])/.test(req.query.returnTo)) ? req.query.returnTo : null;
+   const missing = scopeList.missing(req.account.scopes, required);
+   if (missing.length == 0) {
+      res.redirect(returnTo || "/accounts");
+      return;
+   }
+
+   debug(`step-up consent: ${req.account.displayName} asks for scope(s): ${missing.join(" ")}`);
+   res.redirect(startFlow(req, tenants.get(req.account.tenant), {
+      scopes: scopeList.union(req.account.scopes, required),
+      returnTo: returnTo
+   }));
+});
+
+// Webex API client acting on behalf of a stored grant: a rejected access token gets refreshed once
+function clientFor(record) {
+   return webexClient({
+      baseURL: apiURL,
+      token: record.accessToken,
+      refresh: function (callback) {
+         tenants.get(record.tenant).scheduler.refreshGrant(record, function (err, updated) {
+            if (updated) {
+               // callers such as the widget hand the access token over to the browser
+               record.accessToken = updated.accessToken;
+            }
+            callback(err, updated && updated.accessToken);
+         });
+      }
+   });
+}
+
+// Opens the Space Widget as the active identity
+//   - spaceId: a space the active identity is a member of
+//   - email: starts a 1:1 space with this person
+// With none of them, the Demo Space (SPACE_ID) is opened if configured, otherwise a space picker is shown
+app.get("/widget", withAccounts, signedIn, requireScopes(["spark:all"]), require("./togofurther/widget-controller").handler(clientFor));
+
+// Lists the spaces of the active identity
+//   - type: 'direct' or 'group' (all spaces if not specified)
+//   - sortBy: 'lastactivity' (default) or 'created'
+//   - q: only keep spaces which title contains this text
+const MAX_ROOMS = 1000;
+const listRoomsTemplate = ejs.compile(read(join(__dirname, '/togofurther/list-rooms.ejs'), 'utf8'));
+
+app.get("/spaces", withAccounts, signedIn, requireScopes(["spark:rooms_read"]), function (req, res) {
+   const filters = {
+      type: ["direct", "group"].indexOf(req.query.type) >= 0 ? req.query.type : "",
+      sortBy: req.query.sortBy == "created" ? "created" : "lastactivity",
+      q: (typeof req.query.q == "string") ? req.query.q.trim() : ""
+   };
+
+   const qs = { sortBy: filters.sortBy, max: 100 };
+   if (filters.type) {
+      qs.type = filters.type;
+   }
+   clientFor(req.account).list("/rooms", qs, MAX_ROOMS, function (err, rooms) {
+      if (err) {
+         debug(`could not list spaces, status: ${err.status}, trackingId: ${err.trackingId}`);
+         errors.render(req, res, "spaces_failed", err.message, "/spaces");
+         return;
+      }
+
+      if (filters.q) {
+         const search = filters.q.toLowerCase();
+         rooms = rooms.filter(function (room) {
+            return (room.title || "").toLowerCase().indexOf(search) >= 0;
+         });
+      }
+
+      debug(`listing ${rooms.length} space(s) for ${req.account.displayName}`);
+      res.send(listRoomsTemplate({ "rooms": rooms, "filters": filters }));
+   });
+});
+
+
+// Downloads the transcript of a space as Markdown, JSON or HTML, see lib/transcript.js
+//   - after, before: [optional] only export the messages posted in this date range
+const transcript = require("./lib/transcript");
+
+app.get("/spaces/:roomId/transcript.:format(md|json|html)", withAccounts, signedIn, requireScopes(transcript.SCOPES), function (req, res) {
+   const range = transcript.range(req.query);
+   if (range.error) {
+      errors.render(req, res, "transcript_invalid_range", range.error, "/spaces");
+      return;
+   }
+
+   const format = req.params.format;
+   transcript.stream(clientFor(req.account), req.params.roomId, { format: format, range: range.value }, res, function (err, summary) {
+      if (err && !res.headersSent) {
+         debug(`could not export transcript, status: ${err.status}, trackingId: ${err.trackingId}`);
+         errors.render(req, res, ((err.status == 403) || (err.status == 404)) ? "widget_not_member" : "transcript_failed", err.message, "/spaces");
+         return;
+      }
+      if (err) {
+         debug(`transcript export interrupted after ${summary.count} message(s), status: ${err.status}, trackingId: ${err.trackingId}`);
+      }
+      audit.record("transcript_exported", req, { tenant: req.account.tenant, personId: req.account.personId, roomId: req.params.roomId, format: format, count: summary.count, error: summary.error });
+   });
+});
+
+
+// JSON API to send messages and adaptive cards as the active identity, see lib/messages-api.js
+//   - API_RATE_LIMIT: number of calls per minute and per identity, defaults to 30
+//   - identities missing the messages scopes get a 403, along with the /consent link where they can grant them
+const messagesAPI = require("./lib/messages-api");
+app.use("/api", withAccounts, messagesAPI({
+   clientFor: clientFor,
+   keyOf: tenants.keyOf,
+   consentURL: function (req, required) {
+      return "/consent?" + new URLSearchParams({ scope: scopeList.format(required) }).toString();
+   },
+   rateLimit: {
+      limit: process.env.API_RATE_LIMIT ? parseInt(process.env.API_RATE_LIMIT) : require("./lib/rate-limit").DEFAULTS.limit,
+      window: 60 * 1000
+   }
+}));
+
+
+// Sign out the active identity:
+//   - removes it from the user's session (the session is cleared if no identity remains), and deletes the stored grant
+//   - deletes its webhooks, and revokes the integration's authorizations with Webex where possible
+//   - then redirects through the idbroker logout URL (which invalidates the access token) back to the integration
+// The request must originate from the integration's own pages: the Lax session cookie is also sent on cross-site form posts
+const revokeAuthorizations = require("./lib/revoke");
+
+app.post("/logout", withAccounts, function (req, res) {
+   const origin = req.get("origin") || req.get("referer");
+   if (!require("./lib/admin").sameOrigin(origin, publicURL)) {
+      debug("logout: rejecting request from another origin: " + origin);
+      errors.render(req, res, "logout_forbidden", null, "/accounts");
+      return;
+   }
+
+   const record = req.account;
+   if (!record) {
+      debug("logout: no user signed in");
+      res.redirect("/");
+      return;
+   }
+
+   accounts.remove(req.session, tenants.keyOf(record));
+   audit.record("logout", req, { tenant: record.tenant, personId: record.personId });
+   const remaining = accounts.list(req.session).length;
+   if (remaining == 0) {
+      req.session.destroy(function (err) {
+         if (err) {
+            debug("could not destroy session, err: " + err.message);
+         }
+         res.clearCookie(require("./lib/session").COOKIE_NAME);
+         signOut(record, publicURL + "/");
+      });
+      return;
+   }
+   signOut(record, publicURL + "/accounts");
+
+   function signOut(record, homeURL) {
+      revokeGrant(record, function () {
+         debug("logout: signed out " + record.displayName);
+         res.redirect(getLogoutURL(record.accessToken, homeURL));
+      });
+   }
+});
+
+// Deletes the webhooks of a grant, revokes the integration's authorizations with Webex where possible, and deletes the grant
+//   - callback(err): err is set if the grant could not be deleted, Webex failures are only logged
+function revokeGrant(record, callback) {
+   const tenant = tenants.get(record.tenant);
+   const client = webexClient({ baseURL: apiURL, token: record.accessToken });
+   // Webhooks are deleted first, while the access token is still valid
+   tenant.hooks.unregister(client, record, function (err) {
+      if (err) {
+         debug("revoke: could not delete webhooks");
+      }
+      revokeAuthorizations(client, tenant.clientId, record.personId, function (err, count) {
+         if (err) {
+            debug("revoke: could not revoke authorizations, relying on idbroker logout to invalidate the access token");
+         }
+         else {
+            debug(`revoke: revoked ${count} authorization(s)`);
+         }
+
+         tenant.store.delete(record.personId, function (err) {
+            if (err) {
+               debug("revoke: could not delete grant, err: " + err.message);
+            }
+            callback(err);
+         });
+      });
+   });
+}
+
+function getLogoutURL(token, homeURL) {
    return "https://idbroker.webex.com/idb/oauth2/v1/logout?"
-      + "goto=" + encodeURIComponent(rootURL)
+      + "goto=" + encodeURIComponent(homeURL)
       + "&token=" + token;
 }
 
 
+// Device authorization grant, for headless tools (scripts, CLIs) which cannot open a browser, see lib/device-flow.js
+//   1. the tool calls POST /device/code, and displays the returned user code and verification URL
+//   2. the user opens /device on any device, enters the code, and goes through the regular OAuth flow, which completes on /oauth
+//   3. meanwhile, the tool polls POST /device/token until it gets an access token
+//   - DEVICE_CODE_TTL: number of seconds a pending authorization stays valid, defaults to 10 minutes
+//   - DEVICE_POLL_INTERVAL: minimum number of seconds between two polls, defaults to 5
+// A sample command line tool is provided: bin/device-login.js
+const deviceFlow = require("./lib/device-flow");
+const devices = deviceFlow({
+   ttl: process.env.DEVICE_CODE_TTL ? parseInt(process.env.DEVICE_CODE_TTL) * 1000 : deviceFlow.DEFAULTS.ttl,
+   interval: process.env.DEVICE_POLL_INTERVAL ? parseInt(process.env.DEVICE_POLL_INTERVAL) * 1000 : deviceFlow.DEFAULTS.interval
+});
+const deviceTemplate = ejs.compile(read(join(__dirname, '/www/device.ejs'), 'utf8'));
+const DEVICE_GRANT_TYPE = "urn:ietf:params:oauth:grant-type:device_code";
+const deviceForm = [express.urlencoded({ extended: false }), express.json()];
+
+// What the tool gets back: the access token only, the refresh token stays with the integration
+function deviceGrant(record) {
+   return {
+      tenant: record.tenant,
+      personId: record.personId,
+      accessToken: record.accessToken,
+      accessTokenExpiresAt: record.accessTokenExpiresAt,
+      scopes: record.scopes
+   };
+}
+
+// Errors are reported as in RFC 8628
+function deviceError(res, status, error, description) {
+   res.status(status).json({ error: error, error_description: description });
+}
+
+// Starts a pending authorization
+//   - tenant: [optional] defaults to the first tenant
+//   - scope: [optional] space separated, defaults to the tenant's scopes
+app.post("/device/code", deviceForm, function (req, res) {
+   const body = req.body || {};
+   const tenant = body.tenant ? tenants.get(body.tenant) : tenants.list[0];
+   if (!tenant) {
+      return deviceError(res, 400, "invalid_request", "unknown tenant: " + body.tenant);
+   }
+
+   const pending = devices.start({ tenant: tenant.id, scopes: scopeList.format(body.scope || tenant.scopes) });
+   if (!pending) {
+      return deviceError(res, 503, "temporarily_unavailable", "too many pending authorizations, please retry later");
+   }
+   log.info("device_flow_started", { tenant: tenant.id });
+   res.set("Cache-Control", "no-store").json({
+      device_code: pending.deviceCode,
+      user_code: pending.userCode,
+      verification_uri: publicURL + "/device",
+      verification_uri_complete: publicURL + "/device?user_code=" + encodeURIComponent(pending.userCode),
+      expires_in: pending.expiresIn,
+      interval: pending.interval
+   });
+});
+
+// Verification page: the user enters the code, then confirms before going through the OAuth flow
+app.get("/device", function (req, res) {
+   if (!req.query.user_code) {
+      return res.send(deviceTemplate({ "step": "enter", "message": null }));
+   }
+
+   const pending = devices.find(req.query.user_code);
+   if (!pending) {
+      debug("device: unknown or expired user code");
+      return res.status(400).send(deviceTemplate({ "step": "enter", "message": "This code is invalid, has expired or was already used." }));
+   }
+
+   // The flow can only start once confirmed from this page, which a cross-site form cannot do without the session cookie
+   req.session.deviceUserCode = pending.userCode;
+   res.send(deviceTemplate({
+      "step": "confirm",
+      "userCode": pending.userCode,
+      "scopes": pending.scopes,
+      "branding": tenants.get(pending.tenant).branding
+   }));
+});
+
+app.post("/device", express.urlencoded({ extended: false }), function (req, res) {
+   const pending = devices.find(req.body && req.body.user_code);
+   if (!pending || (req.session.deviceUserCode != pending.userCode)) {
+      debug("device: user code not confirmed from this browser session");
+      return errors.render(req, res, "device_code_invalid", null, "/device");
+   }
+   delete req.session.deviceUserCode;
+
+   debug("device: initiating a new OAuth flow for user code: " + pending.userCode);
+   res.redirect(startFlow(req, tenants.get(pending.tenant), { scopes: pending.scopes, device: pending.userCode }));
+});
+
+// Polled by the tool, until the user completes the flow
+app.post("/device/token", deviceForm, function (req, res) {
+   res.set("Cache-Control", "no-store");
+   const body = req.body || {};
+   if (body.grant_type != DEVICE_GRANT_TYPE) {
+      return deviceError(res, 400, "unsupported_grant_type", "expecting grant_type: " + DEVICE_GRANT_TYPE);
+   }
+   if (!body.device_code) {
+      return deviceError(res, 400, "invalid_request", "missing device_code");
+   }
+
+   const result = devices.poll(body.device_code);
+   switch (result.status) {
+      case deviceFlow.APPROVED:
+         const grant = result.grant;
+         log.info("device_flow_completed", { tenant: grant.tenant, personId: grant.personId });
+         res.json({
+            access_token: grant.accessToken,
+            token_type: "Bearer",
+            expires_in: Math.max(0, Math.round((Date.parse(grant.accessTokenExpiresAt) - Date.now()) / 1000)),
+            scope: grant.scopes.join(" ")
+         });
+         break;
+      case deviceFlow.PENDING:
+         deviceError(res, 400, result.status, "the user has not completed the authorization yet");
+         break;
+      case deviceFlow.SLOW_DOWN:
+         deviceError(res, 400, result.status, `polling too fast, please wait ${result.interval} seconds between requests`);
+         break;
+      case deviceFlow.DENIED:
+         deviceError(res, 400, result.status, "the user declined the authorization");
+         break;
+      case deviceFlow.EXPIRED:
+         deviceError(res, 400, result.status, "the device code has expired, please start again");
+         break;
+      default:
+         deviceError(res, 400, result.status, "unknown device code");
+         break;
+   }
+});
+
+
+// Admin area: lists the stored grants, and lets admins refresh, revoke or export them
+//   - ADMIN_USERS: comma separated list of 'user:password' for HTTP basic auth
+//   - ADMIN_EMAILS: comma separated list of emails, which Webex identities are admins when active in their browser
+// The admin area is disabled if none of these variables is set
+const admin = require("./lib/admin");
+const adminSettings = admin.settingsFromEnv();
+const adminOnly = admin.required(adminSettings, publicURL, function (req, res) {
+   errors.render(req, res, "admin_forbidden", null, "/");
+});
+const adminTemplate = ejs.compile(read(join(__dirname, '/www/admin.ejs'), 'utf8'));
+
+const ADMIN_NOTICES = {
+   refreshed: "The access token was refreshed.",
+   refresh_failed: "The access token could not be refreshed, see the grant status.",
+   revoked: "The grant was revoked.",
+   unknown: "No grant found for this user."
+};
+
+function listGrants(req, res, next) {
+   store.list(function (err, records) {
+      if (err) {
+         debug("admin: could not list grants, err: " + err.message);
+         errors.render(req, res, "store_failed", null, "/admin");
+         return;
+      }
+      req.grants = records.sort(function (a, b) {
+         return String(a.displayName).localeCompare(String(b.displayName));
+      });
+      next();
+   });
+}
+
+function loadGrant(req, res, next) {
+   store.get(req.params.key, function (err, record) {
+      if (err) {
+         debug("admin: could not load grant, err: " + err.message);
+         errors.render(req, res, "store_failed", null, "/admin");
+         return;
+      }
+      if (!record) {
+         res.redirect("/admin?notice=unknown");
+         return;
+      }
+      req.grant = record;
+      next();
+   });
+}
+
+app.get("/admin", withAccounts, adminOnly, listGrants, function (req, res) {
+   debug("serving the admin area to: " + req.admin);
+   res.send(adminTemplate({ "admin": req.admin, "grants": req.grants, "keyOf": tenants.keyOf, "notice": ADMIN_NOTICES[req.query.notice] || null }));
+});
+
+app.get("/admin/grants.csv", withAccounts, adminOnly, listGrants, function (req, res) {
+   log.info("admin_export", { admin: req.admin, count: req.grants.length });
+   res.set("Content-Disposition", 'attachment; filename="grants.csv"');
+   res.type("text/csv").send(admin.toCSV(req.grants));
+});
+
+app.post("/admin/grants/:key/refresh", withAccounts, adminOnly, loadGrant, function (req, res) {
+   log.info("admin_refresh", { admin: req.admin, tenant: req.grant.tenant, personId: req.grant.personId });
+   tenants.get(req.grant.tenant).scheduler.refreshGrant(req.grant, function (err, updated) {
+      res.redirect("/admin?notice=" + ((err || !updated) ? "refresh_failed" : "refreshed"));
+   });
+});
+
+app.post("/admin/grants/:key/revoke", withAccounts, adminOnly, loadGrant, function (req, res) {
+   log.info("admin_revoke", { admin: req.admin, tenant: req.grant.tenant, personId: req.grant.personId });
+   audit.record("grant_revoked", req, { tenant: req.grant.tenant, personId: req.grant.personId, admin: req.admin });
+   revokeGrant(req.grant, function (err) {
+      if (err) {
+         errors.render(req, res, "store_failed", null, "/admin");
+         return;
+      }
+      res.redirect("/admin?notice=revoked");
+   });
+});
+
+
+// Health check, for load balancers and uptime monitors: 200 if the token store responds, 503 otherwise
+app.get("/healthz", function (req, res) {
+   const started = Date.now();
+   store.list(function (err) {
+      if (err) {
+         log.error("healthz_store_failed", { reason: err.message });
+      }
+      res.status(err ? 503 : 200).json({
+         status: err ? "unavailable" : "ok",
+         uptime: Math.round(process.uptime()),
+         tenants: tenants.list.length,
+         store: {
+            name: store.name,
+            status: err ? "unavailable" : "ok",
+            latency: Date.now() - started
+         },
+         warnings: configReport.warnings.length
+      });
+   });
+});
+
+// Prometheus metrics, see the 'Observability' section above
+//   - METRICS_TOKEN: [optional] if set, scrapers have to send it as a bearer token
+app.get("/metrics", function (req, res) {
+   const token = process.env.METRICS_TOKEN;
+   if (token && !admin.same(req.get("authorization") || "", "Bearer " + token)) {
+      res.set("WWW-Authenticate", 'Bearer realm="metrics"');
+      return res.status(401).send("Authentication required");
+   }
+   res.type(metrics.CONTENT_TYPE).send(metrics.expose());
+});
+
+
+// Setup page: the effective configuration with secrets masked, and the redirect URIs to register on developer.webex.com
+//   - restricted to admins if the admin area is enabled
+//   - otherwise, restricted to requests from the machine itself, unless SETUP_PUBLIC is 'true'
+// [NOTE] behind a TLS-terminating proxy, req.ip is the client address forwarded by the proxy
+const setupTemplate = ejs.compile(read(join(__dirname, '/www/setup.ejs'), 'utf8'));
+const setupPublic = (process.env.SETUP_PUBLIC == "true");
+const LOOPBACK = /^(127\.\d+\.\d+\.\d+|::1|::ffff:127\.\d+\.\d+\.\d+)$/;
+
+function setupAccess(req, res, next) {
+   if (admin.enabled(adminSettings)) {
+      return adminOnly(req, res, next);
+   }
+   if (setupPublic || LOOPBACK.test(req.ip)) {
+      return next();
+   }
+   debug("setup page requested from a remote address: " + req.ip);
+   errors.render(req, res, "setup_forbidden", null, "/");
+}
+
+app.get("/setup", withAccounts, setupAccess, function (req, res) {
+   debug("serving the setup page");
+   res.send(setupTemplate({
+      "settings": {
+         "publicURL": publicURL,
+         "apiURL": apiURL,
+         "tenantsFile": process.env.TENANTS_FILE || null,
+         "store": store.name,
+         "pkce": pkceMethod || "off",
+         "sessionSecret": process.env.SESSION_SECRET ? "set" : "random, sessions do not survive a restart",
+         "webhooks": scopeList.parse(process.env.WEBHOOKS).join(", ") || "off",
+         "admin": admin.enabled(adminSettings) ? "enabled" : "disabled"
+      },
+      "tenants": tenants.list.map(function (tenant) {
+         return {
+            "id": tenant.id,
+            "name": tenant.branding.name,
+            "clientId": tenant.clientId,
+            "clientSecret": redact.mask(tenant.clientSecret),
+            "scopes": tenant.scopes,
+            "redirectURI": tenant.redirectURI,
+            "errors": tenant.check.errors,
+            "warnings": tenant.check.warnings
+         };
+      })
+   }));
+});
+
 
 // Starts the Webex Integration
 app.listen(port, function () {
    console.log("Webex OAuth Integration started on port: " + port);
+   tenants.list.forEach(function (tenant) {
+      tenant.scheduler.start();
+   });
 });
\ No newline at end of file
@@ -0,0 +1,174 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * End-to-end tests of the /api messages routes
+ *
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const support = require("./support");
+
+
+// Signs a browser in, and returns it
+async function signIn(integration) {
+   const client = support.browser();
+   const page = await client.get(await support.authorize(client, integration));
+   assert.strictEqual(page.status, 200);
+   return client;
+}
+
+
+test.describe("Messages API", function () {
+   let webex;
+   let integration;
+   let client;
+
+   test.before(async function () {
+      webex = await support.startMock();
+      integration = await support.startIntegration(webex.apiURL, {
+         SCOPES: "spark:people_read spark:messages_read spark:messages_write"
+      });
+      client = await signIn(integration);
+   });
+
+   test.after(async function () {
+      await integration.stop();
+      await webex.close();
+   });
+
+   function api(method, path, body) {
+      return client.json(method, integration.url + "/api" + path, body);
+   }
+
+
+   test.it("requires a signed in browser", async function () {
+      const response = await support.browser().json("GET", integration.url + "/api/messages?roomId=mock-room-1");
+      assert.strictEqual(response.status, 401);
+      assert.strictEqual(response.body.error, "not_signed_in");
+   });
+
+   test.it("posts text, markdown, files and adaptive cards", async function () {
+      const text = await api("POST", "/messages", { roomId: "mock-room-1", text: "hello" });
+      assert.strictEqual(text.status, 201);
+      assert.strictEqual(text.body.personId, "mock-person-1");
+      assert.ok(text.headers["x-ratelimit-remaining"]);
+
+      const direct = await api("POST", "/messages", { toPersonEmail: "other.user@example.org", markdown: "**hi**", fileURL: "https://example.com/report.pdf" });
+      assert.strictEqual(direct.status, 201);
+      assert.deepStrictEqual(direct.body.files, ["https://example.com/report.pdf"]);
+
+      const card = { type: "AdaptiveCard", version: "1.2", body: [{ type: "TextBlock", text: "Hi" }] };
+      const withCard = await api("POST", "/messages", { roomId: "mock-room-1", text: "fallback", card: card });
+      assert.strictEqual(withCard.status, 201);
+      assert.deepStrictEqual(withCard.body.attachments, [{ contentType: "application/vnd.microsoft.card.adaptive", content: card }]);
+   });
+
+   test.it("rejects invalid messages", async function () {
+      const noDestination = await api("POST", "/messages", { text: "hello" });
+      assert.strictEqual(noDestination.status, 400);
+      assert.strictEqual(noDestination.body.error, "invalid_request");
+
+      const cardOnly = await api("POST", "/messages", { roomId: "mock-room-1", card: { type: "AdaptiveCard" } });
+      assert.strictEqual(cardOnly.status, 400);
+
+      const form = await client.post(integration.url + "/api/messages", { roomId: "mock-room-1", text: "hello" });
+      assert.strictEqual(form.status, 415);
+   });
+
+   test.it("lists messages page by page", async function () {
+      for (const text of ["one", "two", "three"]) {
+         await api("POST", "/messages", { roomId: "mock-room-3", text: text });
+      }
+      const first = await api("GET", "/messages?roomId=mock-room-3&max=2");
+      assert.strictEqual(first.status, 200);
+      assert.deepStrictEqual(first.body.items.map(function (message) { return message.text; }), ["three", "two"]);
+      assert.ok(first.body.next);
+
+      const second = await api("GET", first.body.next.replace(/^\/api/, ""));
+      assert.deepStrictEqual(second.body.items.map(function (message) { return message.text; }), ["one"]);
+      assert.strictEqual(second.body.next, null);
+   });
+
+   test.it("deletes messages", async function () {
+      const posted = await api("POST", "/messages", { roomId: "mock-room-1", text: "oops" });
+      const deleted = await api("DELETE", "/messages/" + posted.body.id);
+      assert.strictEqual(deleted.status, 204);
+      const again = await api("DELETE", "/messages/" + posted.body.id);
+      assert.strictEqual(again.status, 404);
+      assert.strictEqual(again.body.error, "not_found");
+      assert.ok(again.body.trackingId);
+   });
+
+   test.it("shares one token refresh between concurrent calls", async function () {
+      // Webex rejects the stored access token, until it is refreshed
+      Object.keys(webex.mock.state.accessTokens).forEach(function (token) {
+         delete webex.mock.state.accessTokens[token];
+      });
+      const responses = await Promise.all(["mock-room-1", "mock-room-2", "mock-room-3", "mock-room-1"].map(function (roomId) {
+         return api("GET", "/messages?roomId=" + roomId);
+      }));
+      assert.deepStrictEqual(responses.map(function (response) { return response.status; }), [200, 200, 200, 200]);
+   });
+
+   test.it("maps Webex failures", async function () {
+      webex.mock.inject("messages", 500);
+      const serverError = await api("GET", "/messages?roomId=mock-room-1");
+      assert.strictEqual(serverError.status, 502);
+      assert.strictEqual(serverError.body.error, "webex_error");
+
+      webex.mock.inject("messages", "network");
+      const unreachable = await api("GET", "/messages?roomId=mock-room-1");
+      assert.strictEqual(unreachable.status, 504);
+
+      webex.mock.inject("messages", 401, 2);
+      const rejected = await api("GET", "/messages?roomId=mock-room-1");
+      assert.strictEqual(rejected.status, 401);
+      assert.strictEqual(rejected.body.error, "reauthorize");
+   });
+});
+
+
+test.describe("Messages API without the messages scopes", function () {
+   let webex;
+   let integration;
+
+   test.before(async function () {
+      webex = await support.startMock();
+      integration = await support.startIntegration(webex.apiURL, { API_RATE_LIMIT: "2" });
+   });
+
+   test.after(async function () {
+      await integration.stop();
+      await webex.close();
+   });
+
+   test.it("asks for the missing scopes, and rate limits calls", async function () {
+      const client = await signIn(integration);
+      const url = integration.url + "/api/messages";
+
+      const forbidden = await client.json("POST", url, { roomId: "mock-room-1", text: "hello" });
+      assert.strictEqual(forbidden.status, 403);
+      assert.strictEqual(forbidden.body.error, "insufficient_scope");
+      assert.deepStrictEqual(forbidden.body.missingScopes, ["spark:messages_write"]);
+      assert.strictEqual(forbidden.body.consentURL, "/consent?scope=spark%3Amessages_write");
+
+      // The flow only starts when the user follows the link
+      const consent = await client.get(integration.url + forbidden.body.consentURL + "&returnTo=/spaces");
+      assert.strictEqual(consent.status, 302);
+      assert.match(decodeURIComponent(consent.headers.location), /scope=spark:people_read spark:messages_write/);
+      const callback = await support.consent(client, consent.headers.location);
+      const upgraded = await client.get(callback);
+      assert.strictEqual(upgraded.status, 302);
+      assert.strictEqual(upgraded.headers.location, "/spaces");
+
+      await client.json("GET", url + "?roomId=mock-room-1");
+      const limited = await client.json("GET", url + "?roomId=mock-room-1");
+      assert.strictEqual(limited.status, 429);
+      assert.strictEqual(limited.body.error, "rate_limited");
+      assert.ok(parseInt(limited.headers["retry-after"]) > 0);
+   });
+});
@@ -0,0 +1,115 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * End-to-end tests of the device authorization grant: /device/code, /device, /device/token
+ *
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const request = require("request");
+const support = require("./support");
+
+const GRANT_TYPE = "urn:ietf:params:oauth:grant-type:device_code";
+
+
+test.describe("Device authorization grant", function () {
+   let webex;
+   let integration;
+
+   test.before(async function () {
+      webex = await support.startMock();
+      integration = await support.startIntegration(webex.apiURL, { DEVICE_POLL_INTERVAL: "1" });
+   });
+
+   test.after(async function () {
+      await integration.stop();
+      await webex.close();
+   });
+
+   // The headless tool: no cookies
+   function call(path, form) {
+      return new Promise(function (resolve, reject) {
+         request({ method: "POST", url: integration.url + path, form: form, json: true }, function (err, response, body) {
+            if (err) {
+               return reject(err);
+            }
+            resolve({ status: response.statusCode, body: body });
+         });
+      });
+   }
+
+   function poll(deviceCode) {
+      return call("/device/token", { grant_type: GRANT_TYPE, device_code: deviceCode });
+   }
+
+   // The user, in a browser: enters the code, confirms, and goes through the OAuth flow
+   async function verify(pending, options) {
+      const client = support.browser();
+      const confirm = await client.get(pending.verification_uri_complete);
+      assert.strictEqual(confirm.status, 200);
+      assert.ok(confirm.body.includes(pending.user_code));
+      const start = await client.post(integration.url + "/device", { user_code: pending.user_code });
+      assert.strictEqual(start.status, 302);
+      const callback = await support.consent(client, start.headers.location, options);
+      return client.get(callback);
+   }
+
+
+   test.it("hands the access token to the tool once the user completes the flow", async function () {
+      const started = await call("/device/code", {});
+      assert.strictEqual(started.status, 200);
+      const pending = started.body;
+      assert.match(pending.user_code, /^[A-Z]{4}-[A-Z]{4}$/);
+      assert.strictEqual(pending.verification_uri, integration.url + "/device");
+
+      const waiting = await poll(pending.device_code);
+      assert.strictEqual(waiting.body.error, "authorization_pending");
+
+      const page = await verify(pending);
+      assert.strictEqual(page.status, 200);
+      assert.match(page.body, /return to your device/);
+
+      const granted = await poll(pending.device_code);
+      assert.strictEqual(granted.status, 200);
+      assert.strictEqual(granted.body.token_type, "Bearer");
+      assert.strictEqual(granted.body.scope, "spark:people_read");
+      assert.ok(webex.mock.state.accessTokens[granted.body.access_token]);
+
+      // The token is only handed out once
+      const again = await poll(pending.device_code);
+      assert.strictEqual(again.body.error, "invalid_grant");
+   });
+
+   test.it("tells the tool when the user declines", async function () {
+      const pending = (await call("/device/code", {})).body;
+      const page = await verify(pending, { decision: "decline" });
+      assert.strictEqual(support.errorCode(page), "access_denied");
+      const denied = await poll(pending.device_code);
+      assert.strictEqual(denied.body.error, "access_denied");
+   });
+
+   test.it("asks tools polling too fast to slow down", async function () {
+      const pending = (await call("/device/code", {})).body;
+      await poll(pending.device_code);
+      const tooFast = await poll(pending.device_code);
+      assert.strictEqual(tooFast.body.error, "slow_down");
+   });
+
+   test.it("only starts the flow once the code is confirmed from the same browser", async function () {
+      const pending = (await call("/device/code", {})).body;
+      const page = await support.browser().post(integration.url + "/device", { user_code: pending.user_code });
+      assert.strictEqual(support.errorCode(page), "device_code_invalid");
+   });
+
+   test.it("rejects unknown user codes and grant types", async function () {
+      const page = await support.browser().get(integration.url + "/device?user_code=BCDF-GHJK");
+      assert.strictEqual(page.status, 400);
+      assert.match(page.body, /invalid/);
+      const wrongGrant = await call("/device/token", { grant_type: "authorization_code", device_code: "x" });
+      assert.strictEqual(wrongGrant.body.error, "unsupported_grant_type");
+   });
+});
@@ -0,0 +1,304 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * End-to-end tests of the /oauth handler: server.js runs against the mock Webex, see mock/webex-server.js
+ *
+ * Run with: npm test
+ *
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const support = require("./support");
+
+
+test.describe("OAuth flow", function () {
+   let webex;
+   let integration;
+
+   test.before(async function () {
+      webex = await support.startMock();
+      integration = await support.startIntegration(webex.apiURL);
+   });
+
+   test.after(async function () {
+      await integration.stop();
+      await webex.close();
+   });
+
+   test.afterEach(function () {
+      webex.mock.reset();
+   });
+
+   // Runs a flow up to the integration's answer on the redirect URI
+   async function flow(options) {
+      const client = support.browser();
+      const callback = await support.authorize(client, integration, options);
+      const page = await client.get(callback);
+      return { client: client, callback: callback, page: page };
+   }
+
+
+   test.it("greets the user once the flow completes", async function () {
+      const result = await flow();
+      assert.strictEqual(result.page.status, 200);
+      assert.match(result.page.body, /Mock User/);
+      assert.strictEqual(support.errorCode(result.page), null);
+   });
+
+   test.it("greets the user picked on the consent page", async function () {
+      const result = await flow({ personId: "mock-person-2" });
+      assert.strictEqual(result.page.status, 200);
+      assert.match(result.page.body, /Other User/);
+   });
+
+
+   // Errors reported by Webex on the redirect URI
+
+   test.it("reports access_denied when the user declines", async function () {
+      const result = await flow({ decision: "decline" });
+      assert.strictEqual(result.page.status, 403);
+      assert.strictEqual(support.errorCode(result.page), "access_denied");
+   });
+
+   test.it("reports invalid_scope with the requested scopes", async function () {
+      webex.mock.inject("authorize", "invalid_scope");
+      const result = await flow();
+      assert.strictEqual(result.page.status, 400);
+      assert.strictEqual(support.errorCode(result.page), "invalid_scope");
+      assert.match(result.page.body, /spark:people_read/);
+   });
+
+   test.it("reports server_error", async function () {
+      webex.mock.inject("authorize", "server_error");
+      const result = await flow();
+      assert.strictEqual(result.page.status, 502);
+      assert.strictEqual(support.errorCode(result.page), "server_error");
+   });
+
+   test.it("reports other errors as unsupported_error", async function () {
+      webex.mock.inject("authorize", "temporarily_unavailable");
+      const result = await flow();
+      assert.strictEqual(support.errorCode(result.page), "unsupported_error");
+      assert.match(result.page.body, /temporarily_unavailable/);
+   });
+
+
+   // Checks performed on the redirect URI
+
+   test.it("reports missing_params without code or state", async function () {
+      const client = support.browser();
+      const noState = await client.get(integration.url + "/oauth?code=abc");
+      assert.strictEqual(noState.status, 400);
+      assert.strictEqual(support.errorCode(noState), "missing_params");
+      const noCode = await client.get(integration.url + "/oauth?state=abc");
+      assert.strictEqual(support.errorCode(noCode), "missing_params");
+   });
+
+   test.it("reports state_unknown when the flow was initiated from another browser", async function () {
+      const client = support.browser();
+      const callback = await support.authorize(client, integration);
+      const page = await support.browser().get(callback);
+      assert.strictEqual(page.status, 400);
+      assert.strictEqual(support.errorCode(page), "state_unknown");
+   });
+
+   test.it("reports state_replayed when the redirect URI is hit twice", async function () {
+      const result = await flow();
+      assert.strictEqual(result.page.status, 200);
+      const replay = await result.client.get(result.callback);
+      assert.strictEqual(support.errorCode(replay), "state_replayed");
+   });
+
+
+   // Token exchange
+
+   test.it("reports token_unreachable when the connection fails", async function () {
+      webex.mock.inject("access_token", "network");
+      const result = await flow();
+      assert.strictEqual(support.errorCode(result.page), "token_unreachable");
+   });
+
+   test.it("reports token_bad_request with the message from Webex", async function () {
+      webex.mock.inject("access_token", 400);
+      const result = await flow();
+      assert.strictEqual(support.errorCode(result.page), "token_bad_request");
+      assert.match(result.page.body, /Mock error with status 400/);
+   });
+
+   test.it("reports token_unauthorized", async function () {
+      webex.mock.inject("access_token", 401);
+      const result = await flow();
+      assert.strictEqual(support.errorCode(result.page), "token_unauthorized");
+   });
+
+   for (const status of [429, 500, 503]) {
+      test.it(`reports token_server_error on ${status}`, async function () {
+         webex.mock.inject("access_token", status);
+         const result = await flow();
+         assert.strictEqual(support.errorCode(result.page), "token_server_error");
+      });
+   }
+
+   for (const error of ["invalid_json", "invalid_payload"]) {
+      test.it(`reports token_invalid on ${error}`, async function () {
+         webex.mock.inject("access_token", error);
+         const result = await flow();
+         assert.strictEqual(support.errorCode(result.page), "token_invalid");
+      });
+   }
+
+
+   // Custom logic, once tokens are issued
+
+   test.it("refreshes the access token once if /people/me rejects it", async function () {
+      webex.mock.inject("people/me", 401);
+      const result = await flow();
+      assert.strictEqual(result.page.status, 200);
+      assert.match(result.page.body, /Mock User/);
+   });
+
+   test.it("reports person_failed if /people/me keeps rejecting the access token", async function () {
+      webex.mock.inject("people/me", 401, 2);
+      const result = await flow();
+      assert.strictEqual(support.errorCode(result.page), "person_failed");
+   });
+
+   for (const error of [500, "invalid_payload"]) {
+      test.it(`reports person_failed on ${error}`, async function () {
+         webex.mock.inject("people/me", error);
+         const result = await flow();
+         assert.strictEqual(support.errorCode(result.page), "person_failed");
+      });
+   }
+});
+
+
+test.describe("OAuth flow with a failing token store", function () {
+   let webex;
+   let integration;
+   let dir;
+
+   test.before(async function () {
+      dir = support.tmpDir();
+      // Writes go through a temporary file: a directory in its way makes them fail
+      fs.mkdirSync(path.join(dir, "tokens.json.tmp"));
+      webex = await support.startMock();
+      integration = await support.startIntegration(webex.apiURL, {
+         TOKEN_STORE: "file",
+         TOKEN_STORE_PATH: path.join(dir, "tokens.json")
+      });
+   });
+
+   test.after(async function () {
+      await integration.stop();
+      await webex.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+   });
+
+   test.it("reports store_failed", async function () {
+      const client = support.browser();
+      const callback = await support.authorize(client, integration);
+      const page = await client.get(callback);
+      assert.strictEqual(support.errorCode(page), "store_failed");
+   });
+});
+
+
+test.describe("OAuth flow with tenants, PKCE and short-lived states", function () {
+   let webex;
+   let integration;
+   let dir;
+
+   test.before(async function () {
+      dir = support.tmpDir();
+      const tenantsFile = path.join(dir, "tenants.json");
+      fs.writeFileSync(tenantsFile, JSON.stringify({
+         tenants: [
+            { id: "prod", clientId: support.CLIENT_ID, clientSecret: "env:E2E_SECRET" },
+            { id: "staging", clientId: support.CLIENT_ID, clientSecret: "env:E2E_SECRET" }
+         ]
+      }));
+      webex = await support.startMock();
+      integration = await support.startIntegration(webex.apiURL, {
+         TENANTS_FILE: tenantsFile,
+         E2E_SECRET: support.CLIENT_SECRET,
+         PKCE: "S256",
+         STATE_TTL: "1"
+      });
+   });
+
+   test.after(async function () {
+      await integration.stop();
+      await webex.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+   });
+
+   test.it("completes the flow of each tenant with a PKCE code verifier", async function () {
+      for (const tenant of ["prod", "staging"]) {
+         const client = support.browser();
+         const callback = await support.authorize(client, integration, { login: "/login?tenant=" + tenant });
+         assert.strictEqual(new URL(callback).pathname, "/oauth/" + tenant);
+         const page = await client.get(callback);
+         assert.strictEqual(page.status, 200);
+         assert.match(page.body, /Mock User/);
+      }
+   });
+
+   test.it("reports state_unknown when the flow completes on another tenant", async function () {
+      const client = support.browser();
+      const callback = await support.authorize(client, integration, { login: "/login?tenant=staging" });
+      const page = await client.get(callback.replace("/oauth/staging", "/oauth/prod"));
+      assert.strictEqual(support.errorCode(page), "state_unknown");
+      // Trying again starts over with the tenant of the callback
+      assert.match(page.body, /href="\/login\?tenant=prod"/);
+   });
+
+   test.it("reports state_expired", async function () {
+      const client = support.browser();
+      const callback = await support.authorize(client, integration);
+      await new Promise(function (resolve) { setTimeout(resolve, 1100); });
+      const page = await client.get(callback);
+      assert.strictEqual(support.errorCode(page), "state_expired");
+   });
+});
+
+
+test.describe("Signing out", function () {
+   let webex;
+   let integration;
+
+   test.before(async function () {
+      webex = await support.startMock();
+      integration = await support.startIntegration(webex.apiURL);
+   });
+
+   test.after(async function () {
+      await integration.stop();
+      await webex.close();
+   });
+
+   test.it("only signs out on a form posted from the integration's pages", async function () {
+      const client = support.browser();
+      const page = await client.get(await support.authorize(client, integration));
+      assert.match(page.body, /<form method="post" action="\/logout"/);
+
+      const link = await client.get(integration.url + "/logout");
+      assert.strictEqual(link.status, 404);
+
+      const crossSite = await client.post(integration.url + "/logout", {}, { origin: "https://attacker.example.com" });
+      assert.strictEqual(crossSite.status, 403);
+      assert.strictEqual(support.errorCode(crossSite), "logout_forbidden");
+      assert.strictEqual(Object.keys(webex.mock.state.refreshTokens).length, 1);
+
+      const signedOut = await client.post(integration.url + "/logout", {}, { origin: integration.url });
+      assert.strictEqual(signedOut.status, 302);
+      assert.match(signedOut.headers.location, /^https:\/\/idbroker\.webex\.com\/idb\/oauth2\/v1\/logout\?goto=/);
+      assert.strictEqual(Object.keys(webex.mock.state.refreshTokens).length, 0);
+   });
+});
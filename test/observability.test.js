@@ -0,0 +1,152 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * End-to-end tests of the audit trail and the /metrics endpoint
+ *
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const support = require("./support");
+
+
+// Entries of an audit trail, which is written asynchronously: waits for at least 'count' entries
+async function entries(file, count) {
+   const deadline = Date.now() + 2000;
+   let lines = [];
+   while (Date.now() < deadline) {
+      lines = fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+      if (lines.length >= count) {
+         break;
+      }
+      await new Promise(function (resolve) { setTimeout(resolve, 50); });
+   }
+   return lines.map(function (line) {
+      return JSON.parse(line);
+   });
+}
+
+
+test.describe("Audit trail and metrics", function () {
+   let webex;
+   let integration;
+   let dir;
+
+   test.before(async function () {
+      dir = support.tmpDir();
+      webex = await support.startMock();
+      integration = await support.startIntegration(webex.apiURL, {
+         AUDIT_LOG: path.join(dir, "audit.jsonl"),
+         METRICS_TOKEN: "scraper-secret"
+      });
+   });
+
+   test.after(async function () {
+      await integration.stop();
+      await webex.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+   });
+
+   test.it("records the flow, without tokens", async function () {
+      const client = support.browser();
+      const callback = await support.authorize(client, integration);
+      const page = await client.get(callback);
+      assert.strictEqual(page.status, 200);
+
+      const declined = support.browser();
+      await declined.get(await support.authorize(declined, integration, { decision: "decline" }));
+
+      const logged = await entries(path.join(dir, "audit.jsonl"), 4);
+      const events = logged.map(function (entry) {
+         return entry.event;
+      });
+      assert.deepStrictEqual(events, ["flow_started", "code_exchanged", "flow_started", "consent_declined"]);
+
+      const exchanged = logged[1];
+      assert.strictEqual(exchanged.tenant, "default");
+      assert.strictEqual(exchanged.personId, "mock-person-1");
+      assert.strictEqual(exchanged.requestId, page.headers["x-request-id"]);
+      assert.ok(exchanged.time);
+
+      const tokens = Object.keys(webex.mock.state.accessTokens).concat(Object.keys(webex.mock.state.refreshTokens));
+      const content = fs.readFileSync(path.join(dir, "audit.jsonl"), "utf8");
+      tokens.forEach(function (token) {
+         assert.ok(!content.includes(token));
+      });
+   });
+
+   test.it("exposes callback outcomes and Webex latencies", async function () {
+      const client = support.browser();
+      const denied = await client.get(integration.url + "/metrics");
+      assert.strictEqual(denied.status, 401);
+
+      const response = await new Promise(function (resolve, reject) {
+         require("request").get({ url: integration.url + "/metrics", headers: { authorization: "Bearer scraper-secret" } }, function (err, response) {
+            return err ? reject(err) : resolve(response);
+         });
+      });
+      assert.strictEqual(response.statusCode, 200);
+      assert.match(response.headers["content-type"], /^text\/plain;.*version=0\.0\.4/);
+      const text = response.body;
+      assert.match(text, /^oauth_callback_total\{tenant="default",outcome="success"\} 1$/m);
+      assert.match(text, /^oauth_callback_total\{tenant="default",outcome="access_denied"\} 1$/m);
+      assert.match(text, /^webex_api_request_duration_seconds_count\{tenant="default",operation="token_exchange",status="200"\} 1$/m);
+      assert.match(text, /^webex_api_request_duration_seconds_bucket\{tenant="default",operation="people_me",status="200",le="\+Inf"\} 1$/m);
+   });
+});
+
+
+test.describe("Audit trail of the Space Widget sample (widget.js)", function () {
+   let webex;
+   let widget;
+   let dir;
+
+   test.before(async function () {
+      dir = support.tmpDir();
+      webex = await support.startMock();
+      widget = await support.startWidget(webex.apiURL, { SCOPES: "spark:all", AUDIT_LOG: path.join(dir, "audit.jsonl") });
+   });
+
+   test.after(async function () {
+      await widget.stop();
+      await webex.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+   });
+
+   test.it("records the flow and the refreshes, as server.js does", async function () {
+      const client = support.browser();
+      const completed = await client.get(await support.authorize(client, widget));
+      assert.strictEqual(completed.status, 302);
+
+      // Webex rejects the stored access token: the widget refreshes it
+      webex.mock.state.accessTokens = {};
+      const page = await client.get(widget.url + "/widget?spaceId=mock-room-1");
+      assert.strictEqual(page.status, 200);
+
+      const declined = support.browser();
+      await declined.get(await support.authorize(declined, widget, { decision: "decline" }));
+
+      const logged = await entries(path.join(dir, "audit.jsonl"), 6);
+      assert.deepStrictEqual(logged.map(function (entry) {
+         return entry.event;
+      }), ["flow_started", "code_exchanged", "person_fetched", "token_refreshed", "flow_started", "consent_declined"]);
+
+      assert.strictEqual(logged[1].scopes, "spark:all");
+      assert.strictEqual(logged[1].requestId, completed.headers["x-request-id"]);
+      assert.strictEqual(logged[2].tenant, "default");
+      assert.strictEqual(logged[2].personId, "mock-person-1");
+      assert.strictEqual(logged[3].personId, "mock-person-1");
+      assert.strictEqual(logged[3].requestId, null);
+
+      const tokens = Object.keys(webex.mock.state.accessTokens).concat(Object.keys(webex.mock.state.refreshTokens));
+      const content = fs.readFileSync(path.join(dir, "audit.jsonl"), "utf8");
+      tokens.forEach(function (token) {
+         assert.ok(!content.includes(token));
+      });
+   });
+});
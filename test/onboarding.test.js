@@ -0,0 +1,112 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Tests of the join policy and the approval queue of the demo space, with a bot stubbing the Webex API
+ *
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const onboarding = require("../lib/onboarding");
+
+
+const PERSON = { id: "person-1", displayName: "Mock User", emails: ["Mock.User@Example.COM"], orgId: "Y2lzY29zcGFyazovL3VzL09SR0FOSVpBVElPTi9hYmM" };
+
+// Bot answering asynchronously, as the Webex API client does
+function stubBot() {
+   const bot = {
+      members: [],
+      messages: [],
+      post: function (path, body, callback) {
+         setImmediate(function () {
+            if (path == "/memberships") {
+               bot.members.push(body.personEmail);
+            }
+            else {
+               bot.messages.push(body.markdown);
+            }
+            callback(null, {});
+         });
+      }
+   };
+   return bot;
+}
+
+function promisify(fn) {
+   return new Promise(function (resolve, reject) {
+      fn(function (err, result) {
+         return err ? reject(err) : resolve(result);
+      });
+   });
+}
+
+
+test.describe("Join policy", function () {
+
+   test.afterEach(function () {
+      delete process.env.JOIN_ALLOWED_DOMAINS;
+      delete process.env.JOIN_ALLOWED_ORGS;
+   });
+
+   test.it("compares email domains regardless of case", function () {
+      process.env.JOIN_ALLOWED_DOMAINS = " EXAMPLE.com ";
+      assert.strictEqual(onboarding.allowed(onboarding.policyFromEnv(), PERSON), true);
+   });
+
+   test.it("compares organization ids exactly", function () {
+      process.env.JOIN_ALLOWED_ORGS = PERSON.orgId;
+      assert.strictEqual(onboarding.allowed(onboarding.policyFromEnv(), PERSON), true);
+
+      process.env.JOIN_ALLOWED_ORGS = PERSON.orgId.toLowerCase();
+      assert.strictEqual(onboarding.allowed(onboarding.policyFromEnv(), PERSON), false);
+   });
+});
+
+
+test.describe("Approval queue", function () {
+   const policy = { domains: ["example.org"], orgIds: [], asModerator: false };
+   const moderator = { personId: "moderator-1", displayName: "Moderator" };
+
+   async function pendingRequest(bot) {
+      const demoSpace = onboarding(bot, "space-1", {
+         policy: policy,
+         reviewURL: function (requestId, decision) {
+            return `https://integration.example.com/join-requests/${requestId}/${decision}`;
+         }
+      });
+      const request = await new Promise(function (resolve, reject) {
+         demoSpace.join(PERSON, function (err, result, request) {
+            return err ? reject(err) : resolve(request);
+         });
+      });
+      return { demoSpace: demoSpace, request: request };
+   }
+
+   test.it("adds the person once when two moderators approve at the same time", async function () {
+      const bot = stubBot();
+      const queued = await pendingRequest(bot);
+
+      const decisions = await Promise.allSettled([1, 2].map(function () {
+         return promisify(function (callback) { queued.demoSpace.decide(queued.request.id, "approve", moderator, callback); });
+      }));
+      assert.strictEqual(decisions[0].value, onboarding.JOINED);
+      assert.strictEqual(decisions[1].status, "rejected");
+      assert.strictEqual(decisions[1].reason.notPending, true);
+      assert.deepStrictEqual(bot.members, ["Mock.User@Example.COM"]);
+      assert.strictEqual(queued.demoSpace.get(queued.request.id).status, onboarding.APPROVED);
+   });
+
+   test.it("puts the request back in the queue if the person cannot be added", async function () {
+      const bot = stubBot();
+      const queued = await pendingRequest(bot);
+      bot.post = function (path, body, callback) {
+         setImmediate(callback, Object.assign(new Error("Mock error"), { status: 500 }));
+      };
+
+      await assert.rejects(promisify(function (callback) { queued.demoSpace.decide(queued.request.id, "approve", moderator, callback); }), { status: 500 });
+      assert.strictEqual(queued.demoSpace.get(queued.request.id).status, onboarding.PENDING);
+   });
+});
@@ -0,0 +1,101 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Tests of the background refresh against each token store: refreshed tokens never overwrite a newer grant
+ *
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const support = require("./support");
+const tokenStore = require("../lib/token-store");
+const keyring = require("../lib/token-store/keyring");
+const refreshScheduler = require("../lib/refresh-scheduler");
+
+
+function grant(refreshToken, scopes) {
+   return tokenStore.createRecord({
+      access_token: "access-" + refreshToken,
+      expires_in: 60,
+      refresh_token: refreshToken,
+      refresh_token_expires_in: 3600
+   }, { id: "person-1", displayName: "Mock User", emails: ["mock.user@example.com"] }, scopes);
+}
+
+function promisify(fn) {
+   return new Promise(function (resolve, reject) {
+      fn(function (err, result) {
+         return err ? reject(err) : resolve(result);
+      });
+   });
+}
+
+
+const dir = support.tmpDir();
+test.after(function () {
+   fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const stores = {
+   memory: function () {
+      return tokenStore.adapters.memory();
+   },
+   file: function () {
+      return tokenStore.adapters.file(path.join(dir, "tokens.json"));
+   },
+   "namespaced and encrypted": function () {
+      const keys = keyring.keyring(crypto.randomBytes(32).toString("hex"));
+      return tokenStore.namespaced(require("../lib/token-store/encrypted")(tokenStore.adapters.memory(), keys), "staging", "staging");
+   }
+};
+
+Object.keys(stores).forEach(function (name) {
+   test.describe(`Refresh scheduler with the ${name} store`, function () {
+
+      test.it("keeps a grant renewed while its previous tokens were being refreshed", async function () {
+         const store = stores[name]();
+         const previous = grant("refresh-1", "spark:people_read");
+         await promisify(function (callback) { store.put(previous, callback); });
+
+         // The user authorizes again with more scopes, right as the refresh of the previous grant completes
+         const renewed = grant("refresh-2", "spark:people_read spark:rooms_read");
+         const scheduler = refreshScheduler(store, function (refreshToken, callback) {
+            setImmediate(function () {
+               callback(null, { access_token: "refreshed", expires_in: 60, refresh_token: refreshToken, refresh_token_expires_in: 3600 });
+               store.put(renewed, function () { });
+            });
+         });
+
+         const updated = await promisify(function (callback) { scheduler.refreshGrant(previous, callback); });
+         assert.strictEqual(updated.accessToken, "refreshed");
+
+         await new Promise(function (resolve) { setTimeout(resolve, 50); });
+         const stored = await promisify(function (callback) { store.get("person-1", callback); });
+         assert.strictEqual(stored.refreshToken, "refresh-2");
+         assert.deepStrictEqual(stored.scopes, ["spark:people_read", "spark:rooms_read"]);
+      });
+
+      test.it("discards refreshed tokens if the grant changed before the refresh completes", async function () {
+         const store = stores[name]();
+         const previous = grant("refresh-1", "spark:people_read");
+         await promisify(function (callback) { store.put(previous, callback); });
+
+         const scheduler = refreshScheduler(store, function (refreshToken, callback) {
+            store.put(grant("refresh-2", "spark:people_read"), function () {
+               callback(null, { access_token: "refreshed", expires_in: 60, refresh_token: refreshToken, refresh_token_expires_in: 3600 });
+            });
+         });
+
+         const updated = await promisify(function (callback) { scheduler.refreshGrant(previous, callback); });
+         assert.strictEqual(updated, null);
+         const stored = await promisify(function (callback) { store.get("person-1", callback); });
+         assert.strictEqual(stored.accessToken, "access-refresh-2");
+      });
+   });
+});
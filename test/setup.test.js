@@ -0,0 +1,64 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * End-to-end tests of the access to the /setup page, when the admin area is disabled
+ *
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const request = require("request");
+const support = require("./support");
+
+
+// Opens the setup page as a client forwarded by the TLS-terminating proxy, or from the machine itself
+function setupPage(integration, forwardedFor) {
+   return new Promise(function (resolve, reject) {
+      request.get({ url: integration.url + "/setup", headers: forwardedFor ? { "x-forwarded-for": forwardedFor } : {} }, function (err, response, body) {
+         return err ? reject(err) : resolve({ status: response.statusCode, body: body });
+      });
+   });
+}
+
+
+for (const setupPublic of [false, true]) {
+   test.describe(`Setup page with SETUP_PUBLIC=${setupPublic}`, function () {
+      let webex;
+      let integration;
+
+      test.before(async function () {
+         webex = await support.startMock();
+         integration = await support.startIntegration(webex.apiURL, Object.assign({
+            PUBLIC_URL: "https://integration.example.com" // trusts the proxy for the client address
+         }, setupPublic ? { SETUP_PUBLIC: "true" } : {}));
+      });
+
+      test.after(async function () {
+         await integration.stop();
+         await webex.close();
+      });
+
+      test.it("answers requests from the machine running the integration", async function () {
+         const page = await setupPage(integration);
+         assert.strictEqual(page.status, 200);
+         assert.match(page.body, /\/oauth/);
+
+         const proxied = await setupPage(integration, "127.0.0.1");
+         assert.strictEqual(proxied.status, 200);
+      });
+
+      test.it(setupPublic ? "answers remote clients" : "rejects remote clients", async function () {
+         const page = await setupPage(integration, "203.0.113.7");
+         if (setupPublic) {
+            assert.strictEqual(page.status, 200);
+         }
+         else {
+            assert.strictEqual(page.status, 403);
+            assert.strictEqual(support.errorCode(page), "setup_forbidden");
+         }
+      });
+   });
+}
@@ -0,0 +1,222 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * Helpers for the end-to-end tests: runs the mock Webex, the integration as a child process pointed to it,
+ * and a cookie-aware browser that walks through the OAuth flow one redirect at a time.
+ *
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const net = require("net");
+const spawn = require("child_process").spawn;
+const request = require("request");
+const mockWebex = require("../mock/webex-server");
+
+// Credentials in the Webex format, registered with the mock
+const CLIENT_ID = "C" + "1".repeat(64);
+const CLIENT_SECRET = "2".repeat(64);
+
+
+function freePort() {
+   return new Promise(function (resolve, reject) {
+      const server = net.createServer();
+      server.on("error", reject);
+      server.listen(0, "127.0.0.1", function () {
+         const port = server.address().port;
+         server.close(function () {
+            resolve(port);
+         });
+      });
+   });
+}
+
+function tmpDir() {
+   return fs.mkdtempSync(path.join(os.tmpdir(), "webex-integration-"));
+}
+
+
+// Starts the mock Webex on a free port
+//   - resolves with { mock, apiURL, close() }
+function startMock(options) {
+   const mock = mockWebex(Object.assign({ clients: { [CLIENT_ID]: CLIENT_SECRET } }, options));
+   return new Promise(function (resolve) {
+      const server = mock.listen(0, "127.0.0.1", function () {
+         resolve({
+            mock: mock,
+            apiURL: `http://127.0.0.1:${server.address().port}/v1`,
+            close: function () {
+               server.closeAllConnections();
+               return new Promise(function (done) {
+                  server.close(done);
+               });
+            }
+         });
+      });
+   });
+}
+
+
+// Starts the integration (server.js) against the mock, and waits for its /healthz to answer
+//   - env: extra variables, such as PKCE or TENANTS_FILE
+//   - resolves with { url, output(), stop() }
+function startIntegration(apiURL, env) {
+   return start("server.js", "/healthz", apiURL, env);
+}
+
+// Starts the Space Widget sample (widget.js) against the mock, which has no /healthz: waits for its home page to redirect
+//   - resolves with { url, output(), stop() }
+function startWidget(apiURL, env) {
+   return start("widget.js", "/", apiURL, env);
+}
+
+async function start(script, readyPath, apiURL, env) {
+   const port = await freePort();
+   const url = `http://localhost:${port}`;
+   const child = spawn(process.execPath, [path.join(__dirname, "..", script)], {
+      env: Object.assign({}, process.env, {
+         PORT: String(port),
+         CLIENT_ID: CLIENT_ID,
+         CLIENT_SECRET: CLIENT_SECRET,
+         REDIRECT_URI: url + "/oauth",
+         SCOPES: "spark:people_read",
+         WEBEX_API_URL: apiURL,
+         SESSION_SECRET: "e2e",
+         TOKEN_STORE: "memory",
+         AUDIT_LOG: "off"
+      }, env),
+      stdio: ["ignore", "pipe", "pipe"]
+   });
+
+   let output = "";
+   child.stdout.on("data", function (chunk) { output += chunk; });
+   child.stderr.on("data", function (chunk) { output += chunk; });
+   let exited = false;
+   child.on("exit", function () { exited = true; });
+
+   const integration = {
+      url: url,
+      output: function () {
+         return output;
+      },
+      stop: function () {
+         if (exited) {
+            return Promise.resolve();
+         }
+         return new Promise(function (resolve) {
+            child.on("exit", resolve);
+            child.kill();
+         });
+      }
+   };
+
+   const deadline = Date.now() + 10000;
+   while (Date.now() < deadline) {
+      if (exited) {
+         throw new Error("the integration exited on startup:\n" + output);
+      }
+      const ready = await new Promise(function (resolve) {
+         request.get({ url: url + readyPath, followRedirect: false }, function (err, response) {
+            resolve(!err && (response.statusCode < 400));
+         });
+      });
+      if (ready) {
+         return integration;
+      }
+      await new Promise(function (resolve) { setTimeout(resolve, 100); });
+   }
+   await integration.stop();
+   throw new Error("the integration did not start in time:\n" + output);
+}
+
+
+// A browser with its own cookies, redirects are not followed
+function browser() {
+   const jar = request.jar();
+
+   function send(options) {
+      return new Promise(function (resolve, reject) {
+         request(Object.assign({ jar: jar, followRedirect: false }, options), function (err, response, body) {
+            if (err) {
+               return reject(err);
+            }
+            resolve({ status: response.statusCode, headers: response.headers, body: body });
+         });
+      });
+   }
+
+   return {
+      get: function (url) {
+         return send({ method: "GET", url: url });
+      },
+      post: function (url, form, headers) {
+         return send({ method: "POST", url: url, form: form, headers: headers });
+      },
+      // JSON calls, such as to the /api
+      json: function (method, url, body) {
+         return send({ method: method, url: url, json: (body === undefined) ? true : body });
+      }
+   };
+}
+
+
+// Starts a flow from the integration's /login, and answers the mock's consent page
+//   - options.decision: 'accept' (default) or 'decline'
+//   - options.personId: [optional] the mock person who logs in
+//   - options.login: [optional] path that initiates the flow, defaults to /login
+//   - resolves with the redirect URI called back by the mock, with its code and state (or error)
+async function authorize(client, integration, options) {
+   options = options || {};
+   const login = await client.get(integration.url + (options.login || "/login"));
+   if (login.status != 302) {
+      throw new Error("expected /login to redirect to the authorize URL, got: " + login.status);
+   }
+   return consent(client, login.headers.location, options);
+}
+
+// Answers the mock's consent page for an authorize URL, see authorize()
+async function consent(client, authorizeURL, options) {
+   options = options || {};
+   const page = await client.get(authorizeURL);
+   if (page.status == 302) {
+      return page.headers.location; // injected error
+   }
+   const form = {};
+   const input = /<input type="hidden" name="([^"]+)" value="([^"]*)">/g;
+   let match;
+   while ((match = input.exec(page.body)) !== null) {
+      form[match[1]] = match[2].replace(/&#(\d+);/g, function (all, code) {
+         return String.fromCharCode(parseInt(code));
+      });
+   }
+   form.decision = options.decision || "accept";
+   if (options.personId) {
+      form.personId = options.personId;
+   }
+   const decision = await client.post(new URL("/v1/authorize", authorizeURL).toString(), form);
+   return decision.headers.location;
+}
+
+// Code of an error page rendered from www/error.ejs, or null
+function errorCode(page) {
+   const match = /Error code: (\w+)/.exec(page.body || "");
+   return match ? match[1] : null;
+}
+
+
+module.exports = {
+   CLIENT_ID: CLIENT_ID,
+   CLIENT_SECRET: CLIENT_SECRET,
+   tmpDir: tmpDir,
+   startMock: startMock,
+   startIntegration: startIntegration,
+   startWidget: startWidget,
+   browser: browser,
+   authorize: authorize,
+   consent: consent,
+   errorCode: errorCode
+};
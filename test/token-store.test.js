@@ -0,0 +1,87 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * End-to-end tests of the encrypted token store
+ *
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const support = require("./support");
+const keyring = require("../lib/token-store/keyring");
+
+
+test.describe("Encrypted token store", function () {
+   let webex;
+   let dir;
+
+   test.before(async function () {
+      dir = support.tmpDir();
+      webex = await support.startMock();
+   });
+
+   test.after(async function () {
+      await webex.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+   });
+
+   // Signs a person in on an integration using the given keys (and TOKEN_STORE_PATH), and stops it
+   async function signIn(personId, env) {
+      const integration = await support.startIntegration(webex.apiURL, Object.assign({
+         TOKEN_STORE: "file",
+         TOKEN_STORE_PATH: path.join(dir, "tokens.json")
+      }, env));
+      const client = support.browser();
+      const page = await client.get(await support.authorize(client, integration, { personId: personId }));
+      assert.strictEqual(page.status, 200);
+      await integration.stop();
+   }
+
+   test.it("skips the records which key was removed from the keyring when listing grants", async function () {
+      const keys = [1, 2, 3].map(function () {
+         return crypto.randomBytes(32).toString("hex");
+      });
+      await signIn("mock-person-1", { TOKEN_ENCRYPTION_KEY: keys[0] });
+      await signIn("mock-person-2", { TOKEN_ENCRYPTION_KEY: keys[1], TOKEN_ENCRYPTION_OLD_KEYS: keys[0] });
+
+      // The key of the first grant is dropped
+      const integration = await support.startIntegration(webex.apiURL, {
+         TOKEN_STORE: "file",
+         TOKEN_STORE_PATH: path.join(dir, "tokens.json"),
+         TOKEN_ENCRYPTION_KEY: keys[2],
+         TOKEN_ENCRYPTION_OLD_KEYS: keys[1]
+      });
+      try {
+         const health = await support.browser().json("GET", integration.url + "/healthz");
+         assert.strictEqual(health.status, 200);
+         assert.strictEqual(health.body.status, "ok");
+         assert.match(integration.output(), /"event":"token_decrypt_failed","personId":"mock-person-1"/);
+      }
+      finally {
+         await integration.stop();
+      }
+   });
+
+   test.it("re-encrypts a record with the current key on its next write", async function () {
+      const keys = [1, 2].map(function () {
+         return crypto.randomBytes(32).toString("hex");
+      });
+      const file = path.join(dir, "rotation.json");
+      await signIn("mock-person-1", { TOKEN_STORE_PATH: file, TOKEN_ENCRYPTION_KEY: keys[0] });
+      const before = JSON.parse(fs.readFileSync(file, "utf8"))["mock-person-1"];
+      assert.strictEqual(before.secrets.kid, keyring.keyring(keys[0]).currentId);
+
+      // The key is rotated, and the person authorizes again
+      await signIn("mock-person-1", { TOKEN_STORE_PATH: file, TOKEN_ENCRYPTION_KEY: keys[1], TOKEN_ENCRYPTION_OLD_KEYS: keys[0] });
+      const after = JSON.parse(fs.readFileSync(file, "utf8"))["mock-person-1"];
+      assert.strictEqual(after.secrets.kid, keyring.keyring(keys[1]).currentId);
+      assert.strictEqual(after.created, before.created);
+      assert.strictEqual(after.accessToken, undefined);
+   });
+});
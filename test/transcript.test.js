@@ -0,0 +1,173 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * End-to-end tests of the space transcript export
+ *
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const support = require("./support");
+
+const SCOPES = "spark:people_read spark:rooms_read spark:messages_read";
+
+
+// Adds messages to a mock space, one per minute from 2024-05-01T00:00:00Z, oldest first
+function seed(webex, roomId, count, fields) {
+   const start = Date.parse("2024-05-01T00:00:00.000Z");
+   for (let i = 0; i < count; i++) {
+      webex.mock.state.messages.push(Object.assign({
+         id: `${roomId}-message-${i}`,
+         roomId: roomId,
+         personId: (i % 2) ? "mock-person-2" : "mock-person-1",
+         personEmail: (i % 2) ? "other.user@example.org" : "mock.user@example.com",
+         text: `message ${i}`,
+         created: new Date(start + i * 60 * 1000).toISOString()
+      }, fields && fields(i)));
+   }
+}
+
+
+test.describe("Transcript export", function () {
+   let webex;
+   let integration;
+   let client;
+
+   test.before(async function () {
+      webex = await support.startMock();
+      integration = await support.startIntegration(webex.apiURL, { SCOPES: SCOPES });
+      client = support.browser();
+      const page = await client.get(await support.authorize(client, integration));
+      assert.strictEqual(page.status, 200);
+   });
+
+   test.after(async function () {
+      await integration.stop();
+      await webex.close();
+   });
+
+   function transcript(roomId, format, query) {
+      return client.get(`${integration.url}/spaces/${roomId}/transcript.${format}` + (query ? "?" + query : ""));
+   }
+
+
+   test.it("streams every page of messages as JSON, with display names and file details", async function () {
+      webex.mock.state.contents["report"] = { name: "report.pdf", contentType: "application/pdf", size: 2048 };
+      seed(webex, "mock-room-1", 250, function (i) {
+         return (i == 0) ? { files: [webex.apiURL + "/contents/report", "https://example.com/cat.png"] } : {};
+      });
+      webex.mock.state.messages.push({ id: "gone", roomId: "mock-room-1", personId: "mock-person-gone", personEmail: "gone@example.com", text: "bye", created: "2024-05-02T00:00:00.000Z" });
+
+      const response = await transcript("mock-room-1", "json");
+      assert.strictEqual(response.status, 200);
+      assert.match(response.headers["content-type"], /^application\/json/);
+      assert.strictEqual(response.headers["content-disposition"], "attachment; filename=\"transcript-mock-space.json\"");
+      assert.strictEqual(response.headers["transfer-encoding"], "chunked");
+
+      const body = JSON.parse(response.body);
+      assert.strictEqual(body.space.title, "Mock Space");
+      assert.strictEqual(body.count, 251);
+      assert.strictEqual(body.error, null);
+      assert.strictEqual(body.messages.length, 251);
+      assert.strictEqual(body.messages[0].displayName, "gone@example.com"); // unknown person
+      assert.strictEqual(body.messages[1].text, "message 249");
+      assert.strictEqual(body.messages[1].displayName, "Other User");
+      assert.strictEqual(body.messages[2].displayName, "Mock User");
+
+      const oldest = body.messages[250];
+      assert.strictEqual(oldest.text, "message 0");
+      assert.deepStrictEqual(oldest.files, [
+         { url: webex.apiURL + "/contents/report", name: "report.pdf", contentType: "application/pdf", size: 2048 },
+         { url: "https://example.com/cat.png", name: "cat.png", contentType: null, size: null }
+      ]);
+   });
+
+   test.it("keeps the messages of a date range", async function () {
+      seed(webex, "mock-room-3", 10);
+      const response = await transcript("mock-room-3", "json", "after=2024-05-01T00:03:00Z&before=2024-05-01T00:06:00Z");
+      const body = JSON.parse(response.body);
+      assert.deepStrictEqual(body.range, { after: "2024-05-01T00:03:00.000Z", before: "2024-05-01T00:06:00.000Z" });
+      assert.deepStrictEqual(body.messages.map(function (message) { return message.text; }), ["message 5", "message 4", "message 3"]);
+
+      const invalid = await transcript("mock-room-3", "md", "after=yesterday");
+      assert.strictEqual(invalid.status, 400);
+      assert.strictEqual(support.errorCode(invalid), "transcript_invalid_range");
+
+      const reversed = await transcript("mock-room-3", "md", "after=2024-05-02&before=2024-05-01");
+      assert.strictEqual(support.errorCode(reversed), "transcript_invalid_range");
+   });
+
+   test.it("renders Markdown and standalone HTML", async function () {
+      webex.mock.state.messages.push({ id: "html-1", roomId: "mock-room-2", personId: "mock-person-1", personEmail: "mock.user@example.com", markdown: "**<script>alert(1)</script>**", created: "2024-05-03T00:00:00.000Z" });
+
+      const markdown = await transcript("mock-room-2", "md");
+      assert.strictEqual(markdown.status, 200);
+      assert.match(markdown.headers["content-type"], /^text\/markdown/);
+      assert.match(markdown.body, /^# Mock 1:1\n/);
+      assert.match(markdown.body, /\*\*Mock User\*\* \(2024-05-03T00:00:00.000Z\)\n\n\*\*<script>/);
+      assert.match(markdown.body, /_1 message\(s\)_\n$/);
+
+      const html = await transcript("mock-room-2", "html");
+      assert.strictEqual(html.status, 200);
+      assert.match(html.headers["content-type"], /^text\/html/);
+      assert.strictEqual(html.headers["content-disposition"], "attachment; filename=\"transcript-mock-1-1.html\"");
+      assert.match(html.body, /<title>Mock 1:1 - Transcript<\/title>/);
+      assert.match(html.body, /&lt;script&gt;/);
+      assert.doesNotMatch(html.body, /<script>/);
+      assert.match(html.body, /<\/html>\s*$/);
+   });
+
+   test.it("shows an error page when the export cannot start", async function () {
+      const unknown = await transcript("not-my-room", "md");
+      assert.strictEqual(unknown.status, 403);
+      assert.strictEqual(support.errorCode(unknown), "widget_not_member");
+
+      webex.mock.inject("messages", 500);
+      const failed = await transcript("mock-room-3", "md");
+      assert.strictEqual(failed.status, 502);
+      assert.strictEqual(support.errorCode(failed), "transcript_failed");
+   });
+
+   test.it("terminates the transcript with a note when a later page fails", async function () {
+      seed(webex, "mock-room-2", 150);
+      webex.mock.inject("messages", 500, 1, 1); // the first page succeeds, the second one fails
+
+      const response = await transcript("mock-room-2", "json");
+      assert.strictEqual(response.status, 200);
+      const body = JSON.parse(response.body);
+      assert.strictEqual(body.count, 100);
+      assert.strictEqual(body.messages.length, 100);
+      assert.ok(body.error);
+
+      webex.mock.inject("messages", 500, 1, 1);
+      const markdown = await transcript("mock-room-2", "md");
+      assert.match(markdown.body, /_Export interrupted after 100 message\(s\): .+_\n$/);
+   });
+});
+
+
+test.describe("Transcript export without the required scopes", function () {
+   let webex;
+   let integration;
+
+   test.before(async function () {
+      webex = await support.startMock();
+      integration = await support.startIntegration(webex.apiURL);
+   });
+
+   test.after(async function () {
+      await integration.stop();
+      await webex.close();
+   });
+
+   test.it("asks for the rooms and messages scopes", async function () {
+      const client = support.browser();
+      await client.get(await support.authorize(client, integration));
+      const response = await client.get(integration.url + "/spaces/mock-room-1/transcript.md");
+      assert.strictEqual(response.status, 302);
+      assert.match(decodeURIComponent(response.headers.location), /scope=spark:people_read spark:rooms_read spark:messages_read/);
+   });
+});
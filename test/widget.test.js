@@ -0,0 +1,171 @@
+//
+// Copyright (c) 2016 Cisco Systems
+// Licensed under the MIT License
+//
+
+/*
+ * End-to-end tests of the /widget route
+ *
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const support = require("./support");
+
+
+// Access token handed over to the Space Widget
+function widgetToken(page) {
+   const match = /data-access-token="([^"]*)"/.exec(page.body || "");
+   return match ? match[1] : null;
+}
+
+
+test.describe("Space Widget", function () {
+   let webex;
+   let integration;
+   let client;
+
+   test.before(async function () {
+      webex = await support.startMock();
+      integration = await support.startIntegration(webex.apiURL, { SCOPES: "spark:all" });
+      client = support.browser();
+      const page = await client.get(await support.authorize(client, integration));
+      assert.strictEqual(page.status, 200);
+   });
+
+   test.after(async function () {
+      await integration.stop();
+      await webex.close();
+   });
+
+   test.it("opens a space the user is a member of", async function () {
+      const page = await client.get(integration.url + "/widget?spaceId=mock-room-1");
+      assert.strictEqual(page.status, 200);
+      assert.ok(webex.mock.state.accessTokens[widgetToken(page)]);
+   });
+
+   test.it("hands over the refreshed access token when Webex rejects the stored one", async function () {
+      const before = widgetToken(await client.get(integration.url + "/widget?spaceId=mock-room-1"));
+
+      webex.mock.inject("memberships", 401);
+      const page = await client.get(integration.url + "/widget?spaceId=mock-room-1");
+      assert.strictEqual(page.status, 200);
+      const token = widgetToken(page);
+      assert.notStrictEqual(token, before);
+      assert.ok(webex.mock.state.accessTokens[token]);
+
+      // The refreshed token is kept for the next visits
+      const again = await client.get(integration.url + "/widget?spaceId=mock-room-1");
+      assert.strictEqual(widgetToken(again), token);
+   });
+});
+
+
+test.describe("Space Widget sample (widget.js)", function () {
+   let webex;
+   let widget;
+
+   test.before(async function () {
+      webex = await support.startMock();
+      widget = await support.startWidget(webex.apiURL, { SCOPES: "spark:people_read" });
+   });
+
+   test.after(async function () {
+      await widget.stop();
+      await webex.close();
+   });
+
+   test.it("asks for spark:all when the granted scopes do not cover the widget", async function () {
+      const client = support.browser();
+      const completed = await client.get(await support.authorize(client, widget));
+      assert.strictEqual(completed.status, 302);
+      assert.strictEqual(completed.headers.location, "/widget");
+
+      const stepUp = await client.get(widget.url + "/widget?spaceId=mock-room-1");
+      assert.strictEqual(stepUp.status, 302);
+      assert.match(decodeURIComponent(stepUp.headers.location), /scope=spark:people_read spark:all&/);
+
+      // The user is brought back to the widget, with the upgraded grant
+      const upgraded = await client.get(await support.consent(client, stepUp.headers.location));
+      assert.strictEqual(upgraded.status, 302);
+      assert.strictEqual(upgraded.headers.location, "/widget?spaceId=mock-room-1");
+      const page = await client.get(widget.url + upgraded.headers.location);
+      assert.strictEqual(page.status, 200);
+      assert.strictEqual(webex.mock.state.accessTokens[widgetToken(page)].scopes, "spark:people_read spark:all");
+   });
+});
+
+
+test.describe("OAuth flow of the Space Widget sample (widget.js)", function () {
+   let webex;
+   let widget;
+
+   test.before(async function () {
+      webex = await support.startMock();
+      widget = await support.startWidget(webex.apiURL, { SCOPES: "spark:all" });
+   });
+
+   test.after(async function () {
+      await widget.stop();
+      await webex.close();
+   });
+
+   test.afterEach(function () {
+      webex.mock.reset();
+   });
+
+   // Runs a flow up to the sample's answer on the redirect URI
+   async function flow(options) {
+      const client = support.browser();
+      const callback = await support.authorize(client, widget, options);
+      const page = await client.get(callback);
+      return { client: client, callback: callback, page: page };
+   }
+
+
+   test.it("opens the widget once the flow completes", async function () {
+      const result = await flow();
+      assert.strictEqual(result.page.status, 302);
+      assert.strictEqual(result.page.headers.location, "/widget");
+
+      const page = await result.client.get(widget.url + "/widget?spaceId=mock-room-1");
+      assert.strictEqual(page.status, 200);
+      assert.ok(webex.mock.state.accessTokens[widgetToken(page)]);
+
+      // The code cannot be used twice
+      const replay = await result.client.get(result.callback);
+      assert.strictEqual(support.errorCode(replay), "state_replayed");
+   });
+
+   test.it("reports access_denied when the user declines, and stays signed out", async function () {
+      const result = await flow({ decision: "decline" });
+      assert.strictEqual(support.errorCode(result.page), "access_denied");
+
+      const page = await result.client.get(widget.url + "/widget");
+      assert.strictEqual(support.errorCode(page), "not_signed_in");
+   });
+
+   const tokenErrors = {
+      network: "token_unreachable",
+      400: "token_bad_request",
+      401: "token_unauthorized",
+      500: "token_server_error",
+      invalid_payload: "token_invalid"
+   };
+   Object.keys(tokenErrors).forEach(function (error) {
+      test.it(`reports ${tokenErrors[error]} when the token exchange fails with ${error}`, async function () {
+         webex.mock.inject("access_token", /^\d+$/.test(error) ? parseInt(error) : error);
+         const result = await flow();
+         assert.strictEqual(support.errorCode(result.page), tokenErrors[error]);
+
+         const page = await result.client.get(widget.url + "/widget");
+         assert.strictEqual(support.errorCode(page), "not_signed_in");
+      });
+   });
+
+   test.it("reports person_failed when /people/me fails", async function () {
+      webex.mock.inject("people/me", 500);
+      const result = await flow();
+      assert.strictEqual(support.errorCode(result.page), "person_failed");
+   });
+});
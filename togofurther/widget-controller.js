@@ -1,20 +1,102 @@
-module.exports = function oauthFlowCompleted (access_token, res) {
-
-    // Demo Space Id
-    // This demo assumes the Spark user behind the token is part of the space 
-    const roomId = process.env.SPACE_ID;
-    
-    // Uncomment to send feedback via static HTML code 
-    //res.send("<h1>OAuth Integration example for Cisco Spark (static HTML)</h1><p>So happy to meet, " + json.displayName + " !</p>");
-    // Current code leverages an EJS template:
-    var read = require("fs").readFileSync;
-    var join = require("path").join;
-    var str = read(join(__dirname, './widget.ejs'), 'utf8');
-    var ejs = require("ejs");
-    var compiled = ejs.compile(str)({
+//
+// Space Widget: lets the user pick a space, or start a 1:1 by email, and opens it from the widget.ejs template
+//
+// Query parameters:
+//    - spaceId: the space to open, the user must be a member of it
+//    - email: the person to start a 1:1 space with
+// If none is specified, the Demo Space (SPACE_ID) is opened if configured, otherwise the user is invited to pick a space.
+//
+
+const read = require("fs").readFileSync;
+const join = require("path").join;
+const ejs = require("ejs");
+const debug = require("debug")("oauth:widget");
+const errors = require("../lib/errors");
+
+const widgetTemplate = ejs.compile(read(join(__dirname, './widget.ejs'), 'utf8'));
+const pickSpaceTemplate = ejs.compile(read(join(__dirname, './pick-space.ejs'), 'utf8'));
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+
+// Renders the widget for a target: { spaceId } or { toPersonEmail }
+function render(access_token, target) {
+    return widgetTemplate({
         "token": access_token,
-        "spaceId": roomId
+        "spaceId": target.spaceId || null,
+        "toPersonEmail": target.toPersonEmail || null
+    });
+}
+
+// Checks the person is a member of the space, callback(err, isMember)
+// [NOTE] Webex answers 404 when listing the memberships of a space the user is not part of
+function checkMembership(client, spaceId, personId, callback) {
+    client.get("/memberships", { roomId: spaceId, personId: personId }, function (err, body) {
+        if (err) {
+            if ((err.status == 403) || (err.status == 404)) {
+                return callback(null, false);
+            }
+            return callback(err);
+        }
+        callback(null, ((body && body.items) || []).length > 0);
     });
+}
+
+
+// Opens the Space Widget for a space, which the user behind the token is assumed to be part of
+module.exports = function oauthFlowCompleted (access_token, res, spaceId) {
+    res.send(render(access_token, { spaceId: spaceId || process.env.SPACE_ID }));
+};
+
+module.exports.render = render;
+module.exports.checkMembership = checkMembership;
+
+
+// Express handler for the widget route, req.account must hold the active grant
+//   - clientFor(record): returns a Webex API client acting as the grant
+module.exports.handler = function (clientFor) {
+    return function (req, res) {
+        const client = clientFor(req.account);
+        const email = (typeof req.query.email == "string") ? req.query.email.trim() : "";
+        const spaceId = (typeof req.query.spaceId == "string") ? req.query.spaceId.trim() : (process.env.SPACE_ID || "");
+
+        // Start a 1:1 space
+        if (email) {
+            if (!EMAIL.test(email)) {
+                errors.render(req, res, "widget_invalid_email", email, "/widget");
+                return;
+            }
+            debug("opening a 1:1 space with: " + email);
+            res.send(render(req.account.accessToken, { toPersonEmail: email }));
+            return;
+        }
+
+        // Open a space the user is a member of
+        if (spaceId) {
+            checkMembership(client, spaceId, req.account.personId, function (err, isMember) {
+                if (err) {
+                    debug(`could not check membership, status: ${err.status}, trackingId: ${err.trackingId}`);
+                    errors.render(req, res, "widget_membership_check_failed", err.message, "/widget");
+                    return;
+                }
+                if (!isMember) {
+                    debug("user is not a member of the requested space");
+                    errors.render(req, res, "widget_not_member", null, "/widget");
+                    return;
+                }
+                res.send(render(req.account.accessToken, { spaceId: spaceId }));
+            });
+            return;
+        }
 
-    res.send(compiled);
-}
\ No newline at end of file
+        // Let the user pick a space
+        client.get("/rooms", { sortBy: "lastactivity", max: 50 }, function (err, body) {
+            if (err) {
+                debug(`could not list spaces, status: ${err.status}, trackingId: ${err.trackingId}`);
+                errors.render(req, res, "spaces_failed", err.message, "/widget");
+                return;
+            }
+            res.send(pickSpaceTemplate({ "rooms": (body && body.items) || [] }));
+        });
+    };
+};
@@ -13,6 +13,10 @@
 
 var debug = require("debug")("oauth");
 var fine = require("debug")("oauth:fine");
+var redact = require("./lib/redact"); // never log tokens in clear
+var errors = require("./lib/errors"); // error pages, see www/error.ejs
+var validate = require("./lib/validate"); // never trust upstream payloads
+var log = require("./lib/log");
 
 var request = require("request");
 var express = require('express');
@@ -27,8 +31,13 @@ var clientId = process.env.CLIENT_ID || "C4ae9568c6cf4576abbc58c183b69f466c6ea6a
 var clientSecret = process.env.CLIENT_SECRET || "772c2882806539bee681288640608f5ec2e6afbc11010e74d8bd11c941893096";
 var port = process.env.PORT || 8080;
 var redirectURI = process.env.REDIRECT_URI || `http://localhost:${port}/oauth`; // where your integration is waiting for Webex cloud to redirect and send the authorization code
-var state = process.env.STATE || "CiscoDevNet"; // state can be used for security and/or correlation purposes
-var scopes = "spark:all"; // supported scopes are documented at: https://developer.webex.com/add-integration.html, the scopes separator is a space, example: "spark:people_read spark:rooms_read"
+var publicURL = (process.env.PUBLIC_URL || new URL(redirectURI).origin).replace(/\/+$/, ""); // base URL of the links posted in Webex
+var scopes = process.env.SCOPES || "spark:all"; // the Space Widget requires spark:all, users who did not grant it are asked for it again, supported scopes are documented at: https://developer.webex.com/add-integration.html, the scopes separator is a space, example: "spark:people_read spark:rooms_read"
+var scopeList = require("./lib/scopes");
+
+// Webex API base URL: https://api.ciscospark.com/v1 (default), https://webexapis.com/v1, or a local mock
+var webexClient = require("./lib/webex-client");
+var apiURL = (process.env.WEBEX_API_URL || webexClient.DEFAULT_BASE_URL).replace(/\/+$/, "");
 
 
 //
@@ -38,20 +47,78 @@ var scopes = "spark:all"; // supported scopes are documented at: https://develop
 // Initiate the OAuth flow from the 'index.ejs' template  
 // ------------------------------------------------------------- 
 // -- Comment this section to initiate the flow from  static html page
-var initiateURL = "https://api.ciscospark.com/v1/authorize?"
-    + "client_id=" + clientId
-    + "&response_type=code"
-    + "&redirect_uri=" + encodeURIComponent(redirectURI)
-    + "&scope=" + encodeURIComponent(scopes)
-    + "&state=" + state;
+
+// state can be used for security and/or correlation purposes
+//   - a fresh state is issued each time the home page is served, and recorded in the browser's session
+//   - the session is identified by a signed cookie, signing secret can be set via the SESSION_SECRET variable
+var oauthState = require("./lib/oauth-state");
+var stateTTL = process.env.STATE_TTL ? parseInt(process.env.STATE_TTL) * 1000 : oauthState.DEFAULT_TTL; // in seconds
+// PKCE can be turned on via the PKCE variable: 'S256' (recommended), or 'plain' as a fallback
+var pkce = require("./lib/pkce");
+var pkceMethod = pkce.method(process.env.PKCE);
+
+var secure = redirectURI.startsWith("https://");
+if (secure) {
+    app.set("trust proxy", 1); // secure cookies behind a TLS-terminating proxy (Glitch, Heroku...)
+}
+app.use(require("./lib/request-id")()); // req.id, correlates audit entries and logs
+app.use(require("./lib/session")(secure));
+
+// Audit trail of the OAuth lifecycle, appended to the AUDIT_LOG file as JSON lines, see lib/audit.js
+//   - grants are stored without namespace, as for the default tenant of server.js
+var audit = require("./lib/audit").fromEnv();
+var auditTenant = require("./lib/tenants").DEFAULT_ID;
+
+function initiateURL(state, requestedScopes, codeChallenge) {
+    var url = apiURL + "/authorize?"
+        + "client_id=" + clientId
+        + "&response_type=code"
+        + "&redirect_uri=" + encodeURIComponent(redirectURI)
+        + "&scope=" + encodeURIComponent(requestedScopes)
+        + "&state=" + state;
+    if (codeChallenge) {
+        url += "&code_challenge=" + codeChallenge
+            + "&code_challenge_method=" + pkceMethod;
+    }
+    return url;
+}
 var read = require("fs").readFileSync;
 var join = require("path").join;
 var str = read(join(__dirname, '/www/index.ejs'), 'utf8');
 var ejs = require("ejs");
-var compiled = ejs.compile(str)({ "link": initiateURL }); // inject the link into the template
+var compiled = ejs.compile(str);
+// Issues a new state for the browser session, and returns the URL that initiates the flow
+//   - options.scopes: [optional] the scopes to ask for, defaults to SCOPES
+//   - options.returnTo: [optional] where to send the user back once the flow completes
+function startFlow(req, options) {
+    options = options || {};
+
+    // The requested scopes are stored along with the flow's state, to record them in the grant
+    var flow = {
+        scopes: scopeList.format(options.scopes || scopes),
+        returnTo: options.returnTo || null
+    };
+
+    // [Optional] PKCE: the code verifier is stored along with the flow's state
+    if (pkceMethod) {
+        flow.codeVerifier = pkce.generateVerifier();
+    }
+    var state = oauthState.issue(req.session, stateTTL, flow);
+    audit.record("flow_started", req, { tenant: auditTenant, scopes: flow.scopes, device: false });
+    var codeChallenge = pkceMethod ? pkce.challenge(flow.codeVerifier, pkceMethod) : null;
+
+    return initiateURL(state, flow.scopes, codeChallenge);
+}
+
 app.get("/index.html", function (req, res) {
     debug("serving the integration home page (generated from an EJS template)");
-    res.send(compiled);
+    res.send(compiled({ "tenants": [{ "link": startFlow(req), "branding": { "name": "Webex" } }] })); // inject the link into the template
+});
+
+// Starts a new flow right away, such as from the 'try again' link of the error pages
+app.get("/login", function (req, res) {
+    debug("initiating a new OAuth flow");
+    res.redirect(startFlow(req));
 });
 app.get("/", function (req, res) {
     res.redirect("/index.html");
@@ -75,40 +142,53 @@ app.get("/oauth", function (req, res) {
     if (req.query.error) {
         if (req.query.error == "access_denied") {
             debug("user declined, received err: " + req.query.error);
-            res.send("<h1>OAuth Integration could not complete</h1><p>Got your NO, ciao.</p>");
+            audit.record("consent_declined", req, { tenant: auditTenant, device: false });
+            errors.render(req, res, "access_denied");
             return;
         }
 
         if (req.query.error == "invalid_scope") {
             debug("wrong scope requested, received err: " + req.query.error);
-            res.send("<h1>OAuth Integration could not complete</h1><p>The application is requesting an invalid scope, Bye bye.</p>");
+            errors.render(req, res, "invalid_scope");
             return;
         }
 
         if (req.query.error == "server_error") {
             debug("server error, received err: " + req.query.error);
-            res.send("<h1>OAuth Integration could not complete</h1><p>Webex sent a Server Error, Auf Wiedersehen.</p>");
+            errors.render(req, res, "server_error");
             return;
         }
 
         debug("received err: " + req.query.error);
-        res.send("<h1>OAuth Integration could not complete</h1><p>Error case not implemented, au revoir.</p>");
+        errors.render(req, res, "unsupported_error", req.query.error);
         return;
     }
 
     // Check request parameters correspond to the spec
     if ((!req.query.code) || (!req.query.state)) {
         debug("expected code & state query parameters are not present");
-        res.send("<h1>OAuth Integration could not complete</h1><p>Unexpected query parameters, ignoring...</p>");
+        errors.render(req, res, "missing_params");
         return;
     }
 
     // Check State 
-    // [NOTE] we implement a Security check below, but the State variable can also be leveraged for Correlation purposes
-    if (state != req.query.state) {
-        debug("State does not match");
-        res.send("<h1>OAuth Integration could not complete</h1><p>Wrong secret, aborting...</p>");
-        return;
+    // [NOTE] the State acts as a Security check (CSRF), and as a Correlation ID with the browser session that initiated the flow
+    var check = oauthState.consume(req.session, req.query.state);
+    switch (check.status) {
+        case oauthState.VALID:
+            break;
+        case oauthState.EXPIRED:
+            debug("State has expired");
+            errors.render(req, res, "state_expired");
+            return;
+        case oauthState.REPLAYED:
+            debug("State has already been used");
+            errors.render(req, res, "state_replayed");
+            return;
+        default:
+            debug("State is unknown to this browser session");
+            errors.render(req, res, "state_unknown");
+            return;
     }
 
     // Retreive access token (expires in 14 days) & refresh token (expires in 90 days)
@@ -120,7 +200,7 @@ app.get("/oauth", function (req, res) {
     //   }
     var options = {
         method: "POST",
-        url: "https://api.ciscospark.com/v1/access_token",
+        url: apiURL + "/access_token",
         headers: {
             "content-type": "application/x-www-form-urlencoded"
         },
@@ -132,41 +212,51 @@ app.get("/oauth", function (req, res) {
             redirect_uri: redirectURI
         }
     };
+    if (check.flow.codeVerifier) {
+        options.form.code_verifier = check.flow.codeVerifier;
+    }
     request(options, function (error, response, body) {
         if (error) {
             debug("could not reach Webex cloud to retreive access & refresh tokens");
-            res.send("<h1>OAuth Integration could not complete</h1><p>Sorry, could not retreive your access token. Try again...</p>");
+            errors.render(req, res, "token_unreachable");
             return;
         }
 
         if (response.statusCode != 200) {
             debug("access token not issued with status code: " + response.statusCode);
+            log.warn("token_not_issued", { statusCode: response.statusCode, trackingId: response.headers["trackingid"] });
             switch (response.statusCode) {
                 case 400:
-                    var responsePayload = JSON.parse(response.body);
-                    res.send("<h1>OAuth Integration could not complete</h1><p>Bad request. <br/>" + responsePayload.message + "</p>");
+                    var responsePayload = validate.errorResponse(body);
+                    if (responsePayload.error) {
+                        log.error("token_error_response_invalid", { statusCode: 400, reason: responsePayload.error });
+                    }
+                    errors.render(req, res, "token_bad_request", responsePayload.value && responsePayload.value.message);
                     break;
                 case 401:
-                    res.send("<h1>OAuth Integration could not complete</h1><p>OAuth authentication error. Ask the service contact to check the secret.</p>");
+                    errors.render(req, res, "token_unauthorized");
                     break;
                 default:
-                    res.send("<h1>OAuth Integration could not complete</h1><p>Sorry, could not retreive your access token. Try again...</p>");
+                    errors.render(req, res, "token_server_error");
                     break;
             }
             return;
         }
 
         // Check payload
-        var json = JSON.parse(body);
-        if ((!json) || (!json.access_token) || (!json.expires_in) || (!json.refresh_token) || (!json.refresh_token_expires_in)) {
+        var parsed = validate.tokenResponse(body);
+        if (parsed.error) {
             debug("could not parse access & refresh tokens");
-            res.send("<h1>OAuth Integration could not complete</h1><p>Sorry, could not retreive your access token. Try again...</p>");
+            log.error("token_response_invalid", { statusCode: response.statusCode, trackingId: response.headers["trackingid"], reason: parsed.error });
+            errors.render(req, res, "token_invalid");
             return;
         }
-        debug("OAuth flow completed, fetched tokens: " + JSON.stringify(json));
+        var json = parsed.value;
+        debug("OAuth flow completed, fetched tokens: " + redact(json));
+        audit.record("code_exchanged", req, { tenant: auditTenant, scopes: check.flow.scopes, device: false });
 
         // OAuth flow completed
-        oauthFlowCompleted(json.access_token, res);
+        oauthFlowCompleted(json, check.flow, req, res);
     });
 });
 
@@ -179,73 +269,304 @@ app.get("/oauth", function (req, res) {
 // some optional activities to perform here: 
 //    - associate the issued access token to a user through the state (acting as a Correlation ID)
 //    - store the refresh token (valid 90 days) to reissue later a new access token (valid 14 days)
-function oauthFlowCompleted(access_token, res) {
+function oauthFlowCompleted(tokens, flow, req, res) {
 
     //
     // Custom logic:
     //  - retreive the user's email
-    //  - have a bot add the user to the demo space
-    //  - then open the demo space from the Space Widget
+    //  - [optional] have a bot add the user to the demo space
+    //  - then let the user pick the space to open from the Space Widget
 
     // Retreive the user's email
-    var Sparky = require('node-sparky');
-    var userClient = new Sparky({
-        token: access_token
-    });
-    userClient.personMe()
-        .then(function (person) {
-            // Add the user to the demo space
-            var botClient = new Sparky({
-                token: process.env.BOT_TOKEN
+    //   - if the access token gets rejected, the client refreshes it once and retries
+    var userClient = webexClient({
+        baseURL: apiURL,
+        token: tokens.access_token,
+        refresh: function (callback) {
+            refreshAccessToken(tokens.refresh_token, function (err, refreshed) {
+                if (err) {
+                    return callback(err);
+                }
+                tokens = refreshed;
+                callback(null, refreshed.access_token);
             });
+        }
+    });
+    userClient.get("/people/me", function (err, person) {
+        if (err) {
+            // Process error
+            debug(`could not retreive Person details, status: ${err.status}, trackingId: ${err.trackingId}`);
+            log.error("person_failed", { statusCode: err.status, trackingId: err.trackingId, reason: err.message });
+            errors.render(req, res, "person_failed", err.message);
+            return;
+        }
+
+        // Check JSON payload is compliant with specs
+        var violations = validate.check(validate.schemas.person, person);
+        if (violations.length > 0) {
+            debug("could not parse Person details");
+            log.error("person_invalid", { reason: violations.join(", ") });
+            errors.render(req, res, "person_failed");
+            return;
+        }
+        audit.record("person_fetched", req, { tenant: auditTenant, personId: person.id });
+
+        // Store the grant with the scopes granted, and attach the identity to the browser session
+        var record = tokenStore.createRecord(tokens, person, flow.scopes);
+        store.put(record, function (err) {
+            if (err) {
+                debug("could not store tokens, err: " + err.message);
+                errors.render(req, res, "store_failed");
+                return;
+            }
+            accounts.add(req.session, person.id);
+
+            // Step-up consent: send the user back to the page that asked for extra scopes
+            if (flow.returnTo) {
+                debug("scopes upgraded, redirecting to: " + flow.returnTo);
+                res.redirect(flow.returnTo);
+                return;
+            }
 
-            botClient.membershipAdd(process.env.SPACE_ID, person.emails[0], false)
-                .then(function (membership) {
-                    // Show widget
-                    res.send(showSpaceWidget(access_token, process.env.SPACE_ID));
+            // Without a demo space, the user picks a space right away
+            if (!demoSpaceConfigured) {
+                res.redirect("/widget");
+                return;
+            }
+
+            // Have the bot add the user to the demo space, or queue the request for approval, see lib/onboarding.js
+            demoSpace.join(person, function (err, result) {
+                if (err) {
+                    debug(`could not add user to space, status: ${err.status}, trackingId: ${err.trackingId}`);
+                    errors.render(req, res, "membership_failed", err.message);
                     return;
-                })
-                .catch(function (err) {
-                    // Has HTTP Status Code
-                    var hasHttpStatusCode = err.message.match(/recieved error (\d{3}) for a POST request/);
-                    if (hasHttpStatusCode && (hasHttpStatusCode[1] == "409")) {
-                        // The user is already part of the space
-                        console.log("INFO: user already in space, continuing");
+                }
 
-                        // Show widget
-                        res.send(showSpaceWidget(access_token, process.env.SPACE_ID));
+                switch (result) {
+                    case onboarding.PENDING_APPROVAL:
+                        debug("join request waiting for approval");
+                        res.send(joinPendingTemplate({ "displayName": person.displayName }));
                         return;
-                    }
+                    case onboarding.ALREADY_MEMBER:
+                        console.log("INFO: user already in space, continuing");
+                        break;
+                    default:
+                        audit.record("bot_membership_added", req, { tenant: auditTenant, personId: person.id, spaceId: demoSpace.spaceId });
+                        break;
+                }
+
+                // Show widget
+                res.redirect("/widget?spaceId=" + encodeURIComponent(process.env.SPACE_ID));
+            });
+        });
+    });
+}
 
-                    res.send("<h1>OAuth Integration Spaces</h1><p>Could not add you to the Demo Space<br/>Error: " + err.message + "</p>");
-                    return;
+// Grants are kept in the token store, see lib/token-store
+//   - the browser session only holds the ids of the persons who authorized the integration
+var tokenStore = require("./lib/token-store");
+var store = tokenStore.fromEnv();
+var accounts = require("./lib/accounts");
+
+// Webex API client acting on behalf of a stored grant: a rejected access token gets refreshed once, and stored
+function clientFor(record) {
+    return webexClient({
+        baseURL: apiURL,
+        token: record.accessToken,
+        refresh: function (callback) {
+            refreshAccessToken(record.refreshToken, function (err, tokens) {
+                if (err) {
+                    audit.record("refresh_failed", null, { tenant: auditTenant, personId: record.personId, reason: err.message });
+                    return callback(err);
+                }
+                var updated = tokenStore.createRecord(tokens, { id: record.personId, displayName: record.displayName, emails: [record.email] }, record.scopes.join(" "));
+                updated.created = record.created;
+                store.put(updated, function (err) {
+                    if (err) {
+                        debug("could not store refreshed tokens, err: " + err.message);
+                    }
+                    record.accessToken = updated.accessToken;
+                    audit.record("token_refreshed", null, { tenant: auditTenant, personId: record.personId, accessTokenExpiresAt: updated.accessTokenExpiresAt });
+                    callback(null, updated.accessToken);
                 });
-        })
-        .catch(function (err) {
-            // Process error
-            res.send("<h1>OAuth Integration Spaces</h1><p>Could not retreive your Person details<br/>Error: " + err.message + "</p>");
+            });
+        }
+    });
+}
+
+var withAccounts = accounts.loader(store);
+var signedIn = accounts.required(function (req, res) {
+    errors.render(req, res, "not_signed_in");
+});
+
+// Users who miss some of the required scopes are sent through the authorize URL again, asking for the union of the granted and required scopes, see lib/scopes.js
+function requireScopes(required) {
+    return function (req, res, next) {
+        var missing = scopeList.missing(req.account.scopes, required);
+        if (missing.length == 0) {
+            return next();
+        }
+
+        debug(`step-up consent: ${req.account.displayName} misses scope(s): ${missing.join(" ")}`);
+        res.redirect(startFlow(req, {
+            scopes: scopeList.union(req.account.scopes, required),
+            returnTo: req.originalUrl
+        }));
+    };
+}
+
+// Step-up consent on demand: the flow only starts when the user follows the link
+//   - scope: the scopes to ask for, on top of the ones already granted
+//   - returnTo: [optional] a path of the integration where to send the user back once the flow completes
+app.get("/consent", withAccounts, signedIn, function (req, res) {
+    var required = scopeList.parse((typeof req.query.scope == "string") ? req.query.scope : "");
+    var returnTo = ((typeof req.query.returnTo == "string") && /^\/(?![\/\\])/.test(req.query.returnTo)) ? req.query.returnTo : null;
+    var missing = scopeList.missing(req.account.scopes, required);
+    if (missing.length == 0) {
+        res.redirect(returnTo || "/widget");
+        return;
+    }
+
+    debug(`step-up consent: ${req.account.displayName} asks for scope(s): ${missing.join(" ")}`);
+    res.redirect(startFlow(req, {
+        scopes: scopeList.union(req.account.scopes, required),
+        returnTo: returnTo
+    }));
+});
+
+// Opens the Space Widget, which requires spark:all
+//   - spaceId: a space the user is a member of
+//   - email: starts a 1:1 space with this person
+// With none of them, the demo space (SPACE_ID) is opened if configured, otherwise a space picker is shown
+app.get("/widget", withAccounts, signedIn, requireScopes(["spark:all"]), require("./togofurther/widget-controller").handler(clientFor));
+
+//
+// Refresh token usage: have Webex cloud issue a new access token
+//
+function refreshAccessToken(refresh_token, callback) {
+    var options = {
+        method: "POST",
+        url: apiURL + "/access_token",
+        headers: {
+            "content-type": "application/x-www-form-urlencoded"
+        },
+        form: {
+            grant_type: "refresh_token",
+            client_id: clientId,
+            client_secret: clientSecret,
+            refresh_token: refresh_token
+        }
+    };
+    request(options, function (error, response, body) {
+        if (error) {
+            debug("could not reach Webex cloud to refresh access token");
+            callback(error);
             return;
-        });
+        }
+
+        if (response.statusCode != 200) {
+            debug("access token not issued with status code: " + response.statusCode);
+            var err = new Error("access token not issued with status code: " + response.statusCode);
+            err.statusCode = response.statusCode;
+            callback(err);
+            return;
+        }
+
+        // Check payload
+        var parsed = validate.tokenResponse(body);
+        if (parsed.error) {
+            debug("could not parse response");
+            log.error("refresh_response_invalid", { statusCode: response.statusCode, trackingId: response.headers["trackingid"], reason: parsed.error });
+            callback(new Error("could not parse refresh token response: " + parsed.error));
+            return;
+        }
+        var json = parsed.value;
+
+        debug("newly issued tokens: " + redact(json));
+        callback(null, json);
+    });
 }
 
-function showSpaceWidget(token, spaceId) {
-    var read = require("fs").readFileSync;
-    var join = require("path").join;
-    var str = read(join(__dirname, './togofurther/widget.ejs'), 'utf8');
-    var ejs = require("ejs");
-    return ejs.compile(str)({
-        "token": token,
-        "spaceId": spaceId
+// [Optional] have a bot add users to a demo space: set BOT_TOKEN and a SPACE_ID moderated by the bot
+//   - users who are not allowlisted (JOIN_ALLOWED_DOMAINS, JOIN_ALLOWED_ORGS) wait for the approval of a moderator
+var onboarding = require("./lib/onboarding");
+var demoSpaceConfigured = process.env.BOT_TOKEN && process.env.SPACE_ID;
+var demoSpace = null;
+if (!demoSpaceConfigured) {
+    console.log("INFO: no BOT_TOKEN or SPACE_ID specified, users will pick the space to open");
+}
+else {
+    var botClient = webexClient({
+        baseURL: apiURL,
+        token: process.env.BOT_TOKEN
+    });
+    demoSpace = onboarding(botClient, process.env.SPACE_ID, {
+        reviewURL: function (requestId, decision) {
+            return publicURL + "/join-requests/" + requestId + "/" + decision;
+        }
     });
 }
 
+var joinPendingTemplate = ejs.compile(read(join(__dirname, './togofurther/join-pending.ejs'), 'utf8'));
+var joinRequestTemplate = ejs.compile(read(join(__dirname, './togofurther/join-request.ejs'), 'utf8'));
 
-// Fail fast if no BOT_TOKEN is specified
-if (!process.env.BOT_TOKEN || !process.env.SPACE_ID) {
-    console.log("Please specify a BOT_TOKEN and a SPACE_ID moderated by the bot, as environment variables");
-    process.exit(1);
+// Join requests are reviewed by the moderators of the demo space, from the links posted by the bot
+//   - GET shows the request and asks for confirmation, POST applies the decision
+function reviewJoinRequest(req, res, next) {
+    var decision = req.params.decision;
+    var joinRequest = demoSpace && demoSpace.get(req.params.id);
+    if (!joinRequest || ((decision != "approve") && (decision != "deny"))) {
+        errors.render(req, res, "join_request_unknown", null, "/widget");
+        return;
+    }
+    if ((joinRequest.status != onboarding.PENDING) && (req.method == "POST")) {
+        errors.render(req, res, "join_request_unknown", null, "/widget");
+        return;
+    }
+
+    demoSpace.isModerator(req.account.personId, function (err, isModerator) {
+        if (err) {
+            debug(`could not check moderator status, status: ${err.status}, trackingId: ${err.trackingId}`);
+            errors.render(req, res, "membership_failed", err.message);
+            return;
+        }
+        if (!isModerator) {
+            debug("join request reviewed by a non-moderator");
+            errors.render(req, res, "join_not_moderator", null, "/widget");
+            return;
+        }
+        req.joinRequest = joinRequest;
+        next();
+    });
 }
 
+app.get("/join-requests/:id/:decision", withAccounts, signedIn, reviewJoinRequest, function (req, res) {
+    var joinRequest = req.joinRequest;
+    var result = (joinRequest.status == onboarding.PENDING) ? null : joinRequest.status;
+    res.send(joinRequestTemplate({ "request": joinRequest, "decision": req.params.decision, "result": result }));
+});
+
+app.post("/join-requests/:id/:decision", withAccounts, signedIn, reviewJoinRequest, function (req, res) {
+    var moderator = { personId: req.account.personId, displayName: req.account.displayName };
+    demoSpace.decide(req.params.id, req.params.decision, moderator, function (err, result) {
+        if (err && err.notPending) {
+            debug("join request decided by another moderator in the meantime");
+            errors.render(req, res, "join_request_unknown", null, "/widget");
+            return;
+        }
+        if (err) {
+            debug(`could not process join request, status: ${err.status}, trackingId: ${err.trackingId}`);
+            errors.render(req, res, "membership_failed", err.message);
+            return;
+        }
+        debug("join request processed with result: " + result);
+        if (result == onboarding.JOINED) {
+            audit.record("bot_membership_added", req, { tenant: auditTenant, personId: req.joinRequest.person.id, spaceId: demoSpace.spaceId, approvedBy: moderator.personId });
+        }
+        res.send(joinRequestTemplate({ "request": req.joinRequest, "decision": req.params.decision, "result": result }));
+    });
+});
+
 
 // Starts the OAuth Integration
 app.listen(port, function () {